@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+const { Command, InvalidArgumentError } = require("commander");
+const { createPipeline } = require("./index");
+const { OPTIONS_SCHEMA } = require("./lib/options");
+const pkg = require("./package.json");
+
+// Exit codes returned by the CLI so build servers can tell failures apart
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  INVALID_OPTIONS: 2,
+  MISSING_INPUT: 3,
+  PARTIAL_FAILURE: 4,
+  WORKBOOK_UNREADABLE: 5,
+  NO_USABLE_REGION: 6,
+  RENDER_FAILED: 7,
+  INVALID_REGIONS: 8,
+  CANCELLED: 130,
+};
+
+// camelCase option name -> --kebab-case flag
+function toFlag(name) {
+  return `--${name.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}`;
+}
+
+function parseInteger(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    throw new InvalidArgumentError("Not an integer.");
+  }
+  return parsed;
+}
+
+function parseNumber(value) {
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) {
+    throw new InvalidArgumentError("Not a number.");
+  }
+  return parsed;
+}
+
+// Add one flag per pipeline option, generated from the options schema
+function addPipelineOptions(command) {
+  for (const [name, rule] of Object.entries(OPTIONS_SCHEMA)) {
+    const description = rule.enum
+      ? `${rule.description} (${rule.enum.join(", ")})`
+      : rule.description;
+
+    switch (rule.type) {
+      case "boolean":
+        command.option(toFlag(name), description);
+        break;
+      case "integer":
+        command.option(`${toFlag(name)} <n>`, description, parseInteger);
+        break;
+      case "number":
+        command.option(`${toFlag(name)} <n>`, description, parseNumber);
+        break;
+      default:
+        command.option(`${toFlag(name)} <value>`, description);
+    }
+  }
+
+  return command.option("--json", "Print the result as JSON on stdout");
+}
+
+// Pick the pipeline options out of the parsed command options
+function getPipelineOptions(commandOptions) {
+  const options = {};
+  for (const name of Object.keys(OPTIONS_SCHEMA)) {
+    if (commandOptions[name] !== undefined) {
+      options[name] = commandOptions[name];
+    }
+  }
+  return options;
+}
+
+// In --json mode the pipeline's console output goes to stderr so stdout
+// only carries the JSON document
+function redirectLogs() {
+  const writeStdout = process.stdout.write.bind(process.stdout);
+  console.log = console.error;
+  console.info = console.error;
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+  return writeStdout;
+}
+
+// Run a subcommand action, print its result and set the exit code
+function action(handler, formatText) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    const commandOptions = command.opts();
+    const print = commandOptions.json
+      ? redirectLogs()
+      : process.stdout.write.bind(process.stdout);
+
+    try {
+      const pipeline = createPipeline(getPipelineOptions(commandOptions));
+      // Ctrl+C lets running images finish and keeps the partial report
+      process.once("SIGINT", () => pipeline.cancel());
+      const result = await handler(
+        pipeline,
+        commandOptions,
+        ...args.slice(0, -2)
+      );
+
+      print(
+        commandOptions.json
+          ? `${JSON.stringify(result, null, 2)}\n`
+          : `${formatText(result)}\n`
+      );
+
+      if (result && result.cancelled) {
+        process.exitCode = EXIT_CODES.CANCELLED;
+      } else if (result && result.failed > 0) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      } else {
+        process.exitCode = EXIT_CODES.OK;
+      }
+    } catch (error) {
+      if (commandOptions.json) {
+        print(
+          `${JSON.stringify(
+            { error: error.message, code: error.code || null },
+            null,
+            2
+          )}\n`
+        );
+      } else {
+        console.error(`✗ ${error.message}`);
+      }
+
+      process.exitCode = EXIT_CODES[error.code] || EXIT_CODES.FAILURE;
+    }
+  };
+}
+
+function formatRegion(region) {
+  return `${region.width}x${region.height} at (${region.x}, ${region.y})`;
+}
+
+const program = new Command();
+
+program
+  .name("insert-image")
+  .description("Insert text from Excel rows into the empty areas of images")
+  .version(pkg.version)
+  .addHelpText(
+    "after",
+    `\nExit codes:\n${Object.entries(EXIT_CODES)
+      .map(([name, code]) => `  ${String(code).padStart(3)}  ${name}`)
+      .join("\n")}`
+  )
+  // Usage errors exit with INVALID_OPTIONS instead of commander's default 1
+  .exitOverride((error) =>
+    process.exit(
+      error.exitCode === 0 ? EXIT_CODES.OK : EXIT_CODES.INVALID_OPTIONS
+    )
+  );
+
+addPipelineOptions(
+  program.command("run", { isDefault: true }).description("Process all images")
+).action(
+  action(
+    (pipeline) => pipeline.run(),
+    (report) =>
+      `Processed ${report.total} images: ${report.successful} successful, ${report.failed} failed, ${report.skipped} skipped`
+  )
+);
+
+addPipelineOptions(
+  program
+    .command("detect-regions")
+    .description("Show the empty regions found in one image or all images")
+    .argument("[image]", "Image path, relative to the images folder")
+).action(
+  action(
+    async (pipeline, options, image) => {
+      const images = image ? [image] : pipeline.getAllImages();
+      const results = [];
+      for (const imagePath of images) {
+        results.push(await pipeline.detectRegions(imagePath));
+      }
+      return results;
+    },
+    (results) =>
+      results
+        .map((result) =>
+          [
+            `${result.image} (${result.width}x${result.height})${
+              result.regionsFile ? `, boxes from ${result.regionsFile}` : ""
+            }`,
+            ...result.regions.map(
+              (region) =>
+                `  ${region.usable ? "✓" : "·"} ${formatRegion(region)}`
+            ),
+          ].join("\n")
+        )
+        .join("\n")
+  )
+);
+
+addPipelineOptions(
+  program
+    .command("preview")
+    .description("Render one image with a single text row")
+    .argument("<image>", "Image path, relative to the images folder")
+    .argument("<row>", "Text row number (1-based)", parseInteger)
+    .option("-o, --output <file>", "Output file (default: result/preview/)")
+).action(
+  action(
+    (pipeline, options, image, row) =>
+      pipeline.preview(image, row, options.output),
+    (result) =>
+      `Wrote ${result.output} (font ${result.fontSize}px, ${
+        result.regions.length > 1 ? "regions" : "region"
+      } ${result.regions.map(formatRegion).join(", ")})${
+        result.overflow ? " - the text doesn't fit" : ""
+      }${result.debug ? `\nDebug overlay: ${result.debug}` : ""}`
+  )
+);
+
+addPipelineOptions(
+  program
+    .command("list-texts")
+    .description("List the text rows read from the text folder")
+    .argument("[folder]", "Subfolder of the text folder")
+).action(
+  action(
+    (pipeline, options, folder) => pipeline.listTexts(folder),
+    (rows) => rows.map((row) => `${row.row}\t${row.text}`).join("\n")
+  )
+);
+
+program.parseAsync(process.argv);
@@ -3,8 +3,64 @@ const path = require("path");
 const sharp = require("sharp");
 const ExcelJS = require("exceljs");
 const readline = require("readline");
+const EventEmitter = require("events");
+const {
+  InsertImageError,
+  MissingInputError,
+  WorkbookReadError,
+  NoUsableRegionError,
+  RenderError,
+} = require("./lib/errors");
+const {
+  HORIZONTAL_ALIGNMENTS,
+  VERTICAL_ALIGNMENTS,
+  normalizeOptions,
+} = require("./lib/options");
+const { readXlsWorkbook } = require("./lib/readers/xls");
+const { createTextReaders } = require("./lib/readers");
+const { VARIABLES_FILE, fillTemplate } = require("./lib/template");
+const {
+  buildUniformityGrid,
+  getRegionColor,
+  getTextColor,
+  findMaximalRectangles,
+  rankRegions,
+  pickDisjointRegions,
+  sortReadingOrder,
+} = require("./lib/regions");
+const {
+  isHyphenationLanguage,
+  parseLanguages,
+  createHyphenator,
+  getBreakPoints,
+  wrapWords,
+} = require("./lib/linebreak");
+const {
+  withFamily,
+  createTextMeasurer,
+  registerFontDirs,
+} = require("./lib/fonts");
+const {
+  CELL_SEPARATORS,
+  FOLDER_STYLE_FILE,
+  emptyContent,
+  addStyleRun,
+  getStyleAt,
+  splitParagraphs,
+  sliceContent,
+  getColumnRole,
+  buildJoinedRecord,
+  buildMappedRecord,
+  finalizeRecord,
+} = require("./lib/readers/records");
+const { findRegionsFile, readRegionsFile } = require("./lib/sidecar");
+
+// Build the insert pipeline for a set of options. The returned object exposes
+// the batch run plus the single steps used by the CLI (cli.js).
+const createPipeline = (options = {}) => {
+  // Validate options and fill in defaults (see lib/options.js)
+  const config = normalizeOptions(options);
 
-const run = () => {
   // Add these console styling functions at the top
   const consoleStyles = {
     success: "\x1b[92m",
@@ -30,11 +86,79 @@ const run = () => {
     console.error(`${consoleStyles.error}✗ ${message}${consoleStyles.reset}`);
   }
 
-  // Update the directory paths to use absolute paths from executable location
-  const appRoot = process.cwd();
-  const resultDir = path.join(appRoot, "result");
-  const imagesDir = path.join(appRoot, "images");
-  const textDir = path.join(appRoot, "text");
+  // Directory paths are resolved against config.rootDir (cwd by default)
+  const { resultDir, imagesDir, textDir, fontsDir } = config;
+
+  // Fonts of the fonts folder are drawn and measured like installed ones
+  registerFontDirs([fontsDir]);
+
+  // Progress events ("progress") for callers that can't see stdout, e.g. the
+  // Electron renderer via main.js
+  const events = new EventEmitter();
+  const progress = {
+    total: 0,
+    completed: 0,
+    successful: 0,
+    failed: 0,
+    skipped: 0,
+    startTime: 0,
+  };
+
+  // Pause/cancel state, checked by processBatch before each image starts
+  const control = {
+    paused: false,
+    cancelled: false,
+    resumeWaiters: [],
+  };
+
+  function pause() {
+    if (control.paused || control.cancelled) return;
+    control.paused = true;
+    emitProgress("run-paused");
+  }
+
+  function resume() {
+    if (!control.paused) return;
+    control.paused = false;
+    control.resumeWaiters.splice(0).forEach((resolve) => resolve());
+    emitProgress("run-resumed");
+  }
+
+  // Images already being processed finish; the rest are skipped
+  function cancel() {
+    if (control.cancelled) return;
+    control.cancelled = true;
+    control.paused = false;
+    control.resumeWaiters.splice(0).forEach((resolve) => resolve());
+    emitProgress("run-cancelling");
+  }
+
+  function waitWhilePaused() {
+    if (!control.paused) return Promise.resolve();
+    return new Promise((resolve) => control.resumeWaiters.push(resolve));
+  }
+
+  function emitProgress(type, data = {}) {
+    const elapsed = Date.now() - progress.startTime;
+    const remaining = progress.total - progress.completed;
+    events.emit("progress", {
+      type,
+      total: progress.total,
+      completed: progress.completed,
+      successful: progress.successful,
+      failed: progress.failed,
+      skipped: progress.skipped,
+      paused: control.paused,
+      cancelled: control.cancelled,
+      elapsed,
+      // Average time per finished image times the images left
+      eta:
+        progress.completed > 0
+          ? Math.round((elapsed / progress.completed) * remaining)
+          : null,
+      ...data,
+    });
+  }
 
   // Function to check required directories
   function checkRequiredDirectories() {
@@ -58,7 +182,10 @@ const run = () => {
           logSuccess("Created");
         } catch (error) {
           logError(`Failed to create ${dir.name} directory: ${error.message}`);
-          process.exit(1);
+          throw new MissingInputError(
+            `Failed to create ${dir.name} directory: ${error.message}`,
+            { directory: dir.path }
+          );
         }
       } else {
         logSuccess("Found");
@@ -107,16 +234,28 @@ const run = () => {
       ".gif",
       ".webp",
     ]);
-    const hasTextFiles = hasFilesRecursive(textDir, [".xlsx", ".xls"]);
+    const hasTextFiles = hasFilesRecursive(textDir, textExtensions);
 
     if (!hasImages || !hasTextFiles) {
       console.log("\nMissing required files:");
       if (!hasImages)
         logWarning("No images found in images directory or its subfolders");
       if (!hasTextFiles)
-        logWarning("No Excel files found in text directory or its subfolders");
+        logWarning(
+          `No text files (${textExtensions.join(
+            ", "
+          )}) found in text directory or its subfolders`
+        );
       logInfo("Please add the required files and run the program again.");
-      process.exit(0);
+      throw new MissingInputError(
+        [
+          !hasImages && "No images found in images directory",
+          !hasTextFiles && "No text files found in text directory",
+        ]
+          .filter(Boolean)
+          .join("; "),
+        { hasImages, hasTextFiles }
+      );
     }
   }
 
@@ -172,7 +311,7 @@ const run = () => {
         return imageCache.get(imagePath);
       }
 
-      const fullPath = path.join(imagesDir, imagePath);
+      const fullPath = path.resolve(imagesDir, imagePath);
       const imageBuffer = fs.readFileSync(fullPath);
 
       // Manage cache size
@@ -311,123 +450,177 @@ const run = () => {
     }
   }
 
-  // Function to find empty regions in the image
-  async function findEmptyRegions(imageBuffer, minWidth = 100, minHeight = 30) {
-    try {
-      // Convert to grayscale and get raw pixels
-      const { data, info } = await sharp(imageBuffer)
-        .grayscale()
-        .raw()
-        .toBuffer({ resolveWithObject: true });
-
-      const width = info.width;
-      const height = info.height;
-      const regions = [];
-      const cellSize = 5; // Smaller cell size for more precise detection
-
-      // Create grid to track empty areas
-      const gridWidth = Math.ceil(width / cellSize);
-      const gridHeight = Math.ceil(height / cellSize);
-      const grid = new Uint8Array(gridWidth * gridHeight);
-
-      // Mark cells as occupied based on pixel intensity
-      for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-          const pixel = data[y * width + x];
-          // If pixel is not close to white (threshold 200), mark cell as occupied
-          if (pixel < 200) {
-            const gridX = Math.floor(x / cellSize);
-            const gridY = Math.floor(y / cellSize);
-            grid[gridY * gridWidth + gridX] = 1;
-          }
-        }
-      }
+  // Occupancy grid where empty means plain background of any colour, see
+  // buildUniformityGrid() in lib/regions.js
+  async function getUniformityGrid(imageBuffer, cellSize) {
+    const { data, info } = await sharp(imageBuffer)
+      .flatten({ background: "#ffffff" })
+      .toColourspace("srgb")
+      .raw()
+      .toBuffer({ resolveWithObject: true });
 
-      // Find full-width empty regions
-      let currentEmptyHeight = 0;
-      let startY = 0;
-
-      for (let y = 0; y < gridHeight; y++) {
-        // Check if current row is empty
-        let isRowEmpty = true;
-        for (let x = 0; x < gridWidth; x++) {
-          if (grid[y * gridWidth + x] === 1) {
-            isRowEmpty = false;
-            break;
-          }
-        }
+    return {
+      ...buildUniformityGrid(data, info, {
+        cellSize,
+        tolerance: config.colorTolerance,
+        maxEdgeDensity: config.maxEdgeDensity,
+      }),
+      width: info.width,
+      height: info.height,
+    };
+  }
 
-        if (isRowEmpty) {
-          if (currentEmptyHeight === 0) {
-            startY = y;
-          }
-          currentEmptyHeight++;
-        } else {
-          if (currentEmptyHeight >= Math.ceil(minHeight / cellSize)) {
-            regions.push({
-              x: 0,
-              y: startY * cellSize,
-              width: width,
-              height: currentEmptyHeight * cellSize,
-            });
-          }
-          currentEmptyHeight = 0;
+  // Occupancy grid where only near-white pixels (whitenessThreshold) are
+  // empty
+  async function getWhitenessGrid(imageBuffer, cellSize) {
+    // Convert to grayscale and get raw pixels
+    const { data, info } = await sharp(imageBuffer)
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const width = info.width;
+    const height = info.height;
+
+    // Create grid to track empty areas
+    const gridWidth = Math.ceil(width / cellSize);
+    const gridHeight = Math.ceil(height / cellSize);
+    const grid = new Uint8Array(gridWidth * gridHeight);
+
+    // Mark cells as occupied based on pixel intensity
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = data[y * width + x];
+        // If pixel is not close to white (whitenessThreshold), mark cell as occupied
+        if (pixel < config.whitenessThreshold) {
+          const gridX = Math.floor(x / cellSize);
+          const gridY = Math.floor(y / cellSize);
+          grid[gridY * gridWidth + gridX] = 1;
         }
       }
+    }
 
-      // Check last region if image ends with empty space
-      if (currentEmptyHeight >= Math.ceil(minHeight / cellSize)) {
-        regions.push({
-          x: 0,
-          y: startY * cellSize,
-          width: width,
-          height: currentEmptyHeight * cellSize,
-        });
-      }
-
-      // Filter and merge close regions
-      const mergedRegions = [];
-      let currentRegion = null;
-
-      for (const region of regions) {
-        if (!currentRegion) {
-          currentRegion = region;
-          continue;
-        }
+    return { grid, gridWidth, gridHeight, colors: null, width, height };
+  }
 
-        // If regions are close, merge them
-        if (
-          region.y - (currentRegion.y + currentRegion.height) <
-          cellSize * 4
-        ) {
-          currentRegion.height = region.y + region.height - currentRegion.y;
-        } else {
-          mergedRegions.push(currentRegion);
-          currentRegion = region;
-        }
-      }
+  // Side in pixels of the occupancy grid cells; small cells keep the
+  // detection precise
+  const REGION_CELL_SIZE = 5;
 
-      if (currentRegion) {
-        mergedRegions.push(currentRegion);
-      }
+  // Occupancy grid of the configured regionDetection method
+  function getOccupancyGrid(imageBuffer, cellSize = REGION_CELL_SIZE) {
+    return config.regionDetection === "whiteness"
+      ? getWhitenessGrid(imageBuffer, cellSize)
+      : getUniformityGrid(imageBuffer, cellSize);
+  }
 
-      // Convert to rectangle objects
-      return mergedRegions
-        .filter((region) => region.height >= minHeight)
-        .map((region) => ({
+  // Function to find empty regions in the occupancy grid of an image
+  function findEmptyRegions(
+    occupancy,
+    minWidth = config.minRegionWidth,
+    minHeight = config.minRegionHeight
+  ) {
+    try {
+      const cellSize = REGION_CELL_SIZE;
+      const { grid, gridWidth, gridHeight, colors, width, height } = occupancy;
+
+      // Maximal empty rectangles of the grid, anywhere in the image (see
+      // lib/regions.js), in pixels
+      const rectangles = findMaximalRectangles(grid, gridWidth, gridHeight, {
+        minCols: Math.ceil(minWidth / cellSize),
+        minRows: Math.ceil(minHeight / cellSize),
+      });
+      const regions = rectangles.map(({ col, row, cols, rows }) => {
+        const x = col * cellSize;
+        const y = row * cellSize;
+        const regionWidth = Math.min((col + cols) * cellSize, width) - x;
+        const regionHeight = Math.min((row + rows) * cellSize, height) - y;
+        return {
           type: "rectangle",
-          ...region,
+          x,
+          y,
+          width: regionWidth,
+          height: regionHeight,
           color: "blue",
           strokeWidth: 1,
-          area: region.width * region.height, // Add area property for sorting
-        }))
-        .sort((a, b) => b.area - a.area); // Sort by area in descending order
+          area: regionWidth * regionHeight,
+        };
+      });
+
+      // Best places for text first: large areas with a text-friendly shape.
+      // Each keeps its background colour so the text can contrast with it.
+      return rankRegions(
+        regions.filter(
+          (region) => region.width >= minWidth && region.height >= minHeight
+        )
+      ).map((region) => ({
+        ...region,
+        background: colors
+          ? getRegionColor(colors, gridWidth, {
+              col: region.x / cellSize,
+              row: region.y / cellSize,
+              cols: Math.ceil(region.width / cellSize),
+              rows: Math.ceil(region.height / cellSize),
+            })
+          : "#ffffff",
+      }));
     } catch (error) {
       console.error("Error finding empty regions:", error);
       throw error;
     }
   }
 
+  // Regions the text of an image goes in: the boxes of its sidecar file
+  // (see lib/sidecar.js) in the order listed, or else the detected empty
+  // regions. `file` is the sidecar file used, if any; `occupancy` is the
+  // occupancy grid, also computed for sidecar boxes in debug mode.
+  async function getTextRegions(imagePath, imageBuffer) {
+    const file = findRegionsFile(path.resolve(imagesDir, imagePath), imagesDir);
+    const occupancy =
+      !file || config.debug ? await getOccupancyGrid(imageBuffer) : null;
+    if (!file) {
+      return { regions: findEmptyRegions(occupancy), file: null, occupancy };
+    }
+
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const boxes = readRegionsFile(file, { width, height });
+    const regions = await Promise.all(
+      boxes.map(async ({ style, ...box }) => {
+        // Mean colour under the box, so the text can contrast with it
+        const { channels } = await sharp(imageBuffer)
+          .extract({
+            left: box.x,
+            top: box.y,
+            width: box.width,
+            height: box.height,
+          })
+          .stats();
+        // Grayscale images have a single colour channel
+        const rgb =
+          channels.length >= 3
+            ? channels.slice(0, 3)
+            : [channels[0], channels[0], channels[0]];
+        const background = `#${rgb
+          .map(({ mean }) => Math.round(mean).toString(16).padStart(2, "0"))
+          .join("")}`;
+
+        const area = box.width * box.height;
+        return {
+          type: "rectangle",
+          ...box,
+          color: "blue",
+          strokeWidth: 1,
+          area,
+          score: area,
+          background,
+          style,
+          manual: true,
+        };
+      })
+    );
+    return { regions, file, occupancy };
+  }
+
   // Helper function to get format properties for a text position
   function getFormatProperties(position, colorSegments, boldSegments) {
     const format = {
@@ -544,6 +737,38 @@ const run = () => {
     return lines.slice(0, lineIndex);
   }
 
+  function escapeXml(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  // <tspan> attributes for the weight, italic, underline, strike, size and
+  // font of a run; the rest is inherited from the <text> element
+  function getRunAttributes(run, textObject) {
+    const attributes = [];
+    const decorations = [];
+
+    if (run.bold) attributes.push(`font-weight="bold"`);
+    if (run.italic) attributes.push(`font-style="italic"`);
+    if (run.underline) decorations.push("underline");
+    if (run.strike) decorations.push("line-through");
+    if (decorations.length > 0) {
+      attributes.push(`text-decoration="${decorations.join(" ")}"`);
+    }
+    if (run.fontScale && run.fontScale !== 1) {
+      attributes.push(`font-size="${textObject.fontSize * run.fontScale}px"`);
+    }
+    if (run.fontFamily !== textObject.fontFamily) {
+      attributes.push(`font-family="${escapeXml(run.fontFamily)}"`);
+    }
+
+    return attributes.join(" ");
+  }
+
   // Update drawRegionsWithText function to remove debug logging
   async function drawRegionsWithText(imageBuffer, regions, textObjects) {
     try {
@@ -580,13 +805,14 @@ const run = () => {
         x: obj.x * upscaleFactor,
         y: obj.y * upscaleFactor,
         fontSize: obj.fontSize * upscaleFactor,
+        wordSpacing: (obj.wordSpacing || 0) * upscaleFactor,
       }));
 
       const svgElements = [];
 
       // Add text elements with proper SVG escaping and rendering settings
       scaledTextObjects.forEach((obj) => {
-        if (obj.colorSegments && obj.colorSegments.length > 0) {
+        if (obj.runs && obj.runs.length > 0) {
           const textElement = `
           <text 
             x="${obj.x}" 
@@ -595,25 +821,25 @@ const run = () => {
             text-anchor="${obj.textAnchor}"
             dominant-baseline="${obj.dominantBaseline}"
             font-weight="${obj.fontWeight}"
-            font-family="${obj.fontFamily}"
+            font-family="${escapeXml(obj.fontFamily)}"
             style="${obj.style}"
             shape-rendering="geometricPrecision"
             text-rendering="geometricPrecision"
           >
-            ${obj.colorSegments
+            ${obj.runs
               .map((segment, index) => {
-                const escapedText = segment.text
-                  .replace(/&/g, "&amp;")
-                  .replace(/</g, "&lt;")
-                  .replace(/>/g, "&gt;")
-                  .replace(/"/g, "&quot;")
-                  .replace(/'/g, "&apos;");
+                const escapedText = escapeXml(segment.text);
 
                 return `<tspan 
                 fill="${segment.color}"
+                ${getRunAttributes(segment, obj)}
                 ${
-                  index > 0
-                    ? `dx="${calculateTextWidth(" ", obj.fontSize)}"`
+                  segment.spaceBefore
+                    ? `dx="${
+                        calculateTextWidth(" ", obj.fontSize, {
+                          family: obj.fontFamily,
+                        }) + obj.wordSpacing
+                      }"`
                     : ""
                 }
                 shape-rendering="geometricPrecision"
@@ -625,12 +851,7 @@ const run = () => {
 
           svgElements.push(textElement);
         } else {
-          const escapedText = obj.text
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&apos;");
+          const escapedText = escapeXml(obj.text);
 
           svgElements.push(`
           <text 
@@ -641,7 +862,7 @@ const run = () => {
             text-anchor="${obj.textAnchor}"
             dominant-baseline="${obj.dominantBaseline}"
             font-weight="${obj.fontWeight}"
-            font-family="${obj.fontFamily}"
+            font-family="${escapeXml(obj.fontFamily)}"
             style="${obj.style}"
             shape-rendering="geometricPrecision"
             text-rendering="geometricPrecision"
@@ -693,27 +914,52 @@ const run = () => {
         .toBuffer();
     } catch (error) {
       console.error("❌ Error drawing text:", error);
-      throw error;
+      throw new RenderError("Failed to draw text", error);
     }
   }
 
-  // Function to read Excel files with color support
-  async function getAllTextFiles(dir = textDir) {
+  // Function to read text files (Excel with color support, see textReaders).
+  // Every folder and file read is recorded in `sources` so the text index
+  // can detect changes. `variables` are the template variables of the
+  // parent folders and `style` their style.json defaults. A file that can't
+  // be read is warned about, added to `failures` and skipped.
+  async function getAllTextFiles(
+    dir = textDir,
+    sources = [],
+    variables = {},
+    style = {},
+    failures = []
+  ) {
     try {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir);
         console.log(
-          "Created text directory. Please add Excel files and run again."
+          "Created text directory. Please add text files and run again."
         );
         return [];
       }
 
       const textContents = [];
       const items = fs.readdirSync(dir);
+      sources.push({ path: dir, mtimeMs: fs.statSync(dir).mtimeMs });
+
+      // Variables and style of this folder override those of the parents
+      const folderVariables = {
+        ...variables,
+        ...readFolderFile(dir, VARIABLES_FILE, sources),
+      };
+      const folderStyle = {
+        ...style,
+        ...readFolderFile(dir, FOLDER_STYLE_FILE, sources),
+      };
 
       for (const item of items) {
-        // Skip Excel temporary files (those starting with ~$)
-        if (item.startsWith("~$")) {
+        // Skip Excel/Word temporary files (those starting with ~$) and the
+        // folder files, which are not text sources
+        if (
+          item.startsWith("~$") ||
+          [VARIABLES_FILE, FOLDER_STYLE_FILE].includes(item.toLowerCase())
+        ) {
           continue;
         }
 
@@ -721,139 +967,48 @@ const run = () => {
         const stat = fs.statSync(fullPath);
 
         if (stat.isDirectory()) {
-          // Recursively get Excel files from subdirectories
-          const subTextContents = await getAllTextFiles(fullPath);
+          // Recursively get text files from subdirectories
+          const subTextContents = await getAllTextFiles(
+            fullPath,
+            sources,
+            folderVariables,
+            folderStyle,
+            failures
+          );
           textContents.push(...subTextContents);
         } else {
           const ext = path.extname(item).toLowerCase();
 
-          if (ext === ".xlsx" || ext === ".xls") {
-            try {
-              const workbook = new ExcelJS.Workbook();
-              await workbook.xlsx.readFile(fullPath);
-
-              // Process first worksheet only
-              const worksheet = workbook.worksheets[0];
-
-              // Create processColor function with workbook context
-              const processColor = (font) => {
-                if (!font || !font.color) return null;
-
-                // Handle RGB color
-                if (font.color.rgb) {
-                  // Ensure RGB is 6 characters long
-                  const rgb = font.color.rgb.padStart(6, "0");
-                  return `#${rgb}`;
-                }
-
-                // Handle ARGB color
-                if (font.color.argb) {
-                  // Remove alpha channel and ensure remaining RGB is 6 characters
-                  const rgb = font.color.argb.substring(2).padStart(6, "0");
-                  return `#${rgb}`;
-                }
-
-                // Handle theme colors
-                if (font.color.theme !== undefined) {
-                  const themeColor = getThemeColor(workbook, font.color.theme);
-                  if (font.color.tint !== undefined) {
-                    return applyTint(themeColor, font.color.tint);
-                  }
-                  return themeColor;
-                }
-
-                return "#000000"; // Default color
-              };
-
-              // Read cells row by row
-              worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-                let rowText = "";
-                let colorSegments = [];
-                let boldSegments = [];
-                let currentPosition = 0;
-
-                row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-                  let cellValue = "";
-                  let isBold = false;
-
-                  if (cell.font && cell.font.bold) {
-                    isBold = true;
-                  }
-
-                  switch (cell.type) {
-                    case ExcelJS.ValueType.RichText:
-                      cellValue = "";
-                      cell.value.richText.forEach((rt) => {
-                        const text = rt.text;
-                        const startPos = currentPosition + cellValue.length;
-
-                        if (rt.font && rt.font.bold) {
-                          boldSegments.push({
-                            start: startPos,
-                            length: text.length,
-                          });
-                        }
-
-                        if (rt.font && rt.font.color) {
-                          const color = processColor(rt.font);
-                          if (color) {
-                            colorSegments.push({
-                              start: startPos,
-                              length: text.length,
-                              color: color,
-                            });
-                          }
-                        }
-
-                        cellValue += text;
-                      });
-                      break;
-                    default:
-                      cellValue = cell.text || String(cell.value || "");
-
-                      // Handle cell-level color
-                      if (cell.font && cell.font.color) {
-                        const color = processColor(cell.font);
-                        if (color) {
-                          colorSegments.push({
-                            start: currentPosition,
-                            length: cellValue.length,
-                            color: color,
-                          });
-                        }
-                      }
-                  }
-
-                  if (cellValue.trim()) {
-                    if (rowText) {
-                      rowText += " ";
-                      currentPosition += 1;
-                    }
+          const reader = textReaders[ext];
 
-                    if (isBold) {
-                      boldSegments.push({
-                        start: currentPosition,
-                        length: cellValue.length,
-                      });
+          if (reader) {
+            sources.push({ path: fullPath, mtimeMs: stat.mtimeMs });
+            try {
+              const records = await reader(fullPath);
+              if (!records) {
+                logWarning(`Skipping ${item}: not a list of text rows`);
+                continue;
+              }
+              textContents.push(
+                ...records.map((record) =>
+                  fillTemplate(
+                    withFolderStyle(record, folderStyle),
+                    folderVariables,
+                    {
+                      locale: config.locale,
+                      onError: (message) =>
+                        logWarning(
+                          `${message} (${item}, ${describeSource(record)})`
+                        ),
                     }
-
-                    rowText += cellValue;
-                    currentPosition += cellValue.length;
-                  }
-                });
-
-                if (rowText.trim()) {
-                  textContents.push({
-                    text: rowText.trim(),
-                    colorSegments,
-                    boldSegments,
-                  });
-                }
-              });
-            } catch (excelError) {
+                  )
+                )
+              );
+            } catch (readError) {
               console.warn(
-                `⚠️ Skipped Excel file ${item}: ${excelError.message}`
+                `⚠️ Failed to read text file ${item}, skipping it: ${readError.message}`
               );
+              failures.push(new WorkbookReadError(fullPath, readError));
             }
           }
         }
@@ -861,11 +1016,285 @@ const run = () => {
 
       return textContents;
     } catch (error) {
+      if (error instanceof InsertImageError) throw error;
       console.error("❌ Error accessing directory:", error);
       return [];
     }
   }
 
+  // JSON object of a folder file (variables.json, style.json)
+  function readFolderFile(dir, fileName, sources) {
+    const filePath = path.join(dir, fileName);
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    sources.push({ path: filePath, mtimeMs: fs.statSync(filePath).mtimeMs });
+    try {
+      const values = JSON.parse(
+        fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "")
+      );
+      if (!values || typeof values !== "object" || Array.isArray(values)) {
+        throw new Error("Expected an object of names and values");
+      }
+      return values;
+    } catch (error) {
+      throw new WorkbookReadError(filePath, error);
+    }
+  }
+
+  // The style of a row wins over the defaults of its folders
+  function withFolderStyle(record, folderStyle) {
+    return { ...record, style: { ...folderStyle, ...record.style } };
+  }
+
+  // "row 3", "sheet Sheet1 row 3", "paragraph 2"... for messages
+  function describeSource(record) {
+    const source = record.source || {};
+    const parts = [];
+    if (source.sheet) parts.push(`sheet ${source.sheet}`);
+    for (const key of ["row", "paragraph", "section"]) {
+      if (source[key]) parts.push(`${key} ${source[key]}`);
+    }
+    return parts.join(" ");
+  }
+
+  // Pick the worksheets named by config.sheets ("1", "Sheet1,3", "*")
+  function selectWorksheets(workbook, fileName) {
+    if (config.sheets.trim() === "*") {
+      return workbook.worksheets;
+    }
+
+    const worksheets = [];
+    for (const token of config.sheets.split(",").map((name) => name.trim())) {
+      const worksheet = /^\d+$/.test(token)
+        ? workbook.worksheets[Number(token) - 1]
+        : workbook.getWorksheet(token);
+
+      if (worksheet) {
+        worksheets.push(worksheet);
+      } else {
+        logWarning(`Sheet "${token}" not found in ${fileName}`);
+      }
+    }
+
+    if (worksheets.length === 0) {
+      throw new Error(`None of the sheets "${config.sheets}" exist`);
+    }
+
+    return worksheets;
+  }
+
+  // Map column numbers to { header, role } using the header row
+  function getColumnRoles(headerRow) {
+    const columns = new Map();
+
+    headerRow.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+      const header = (cell.text || String(cell.value || "")).trim();
+      if (header) {
+        columns.set(colNumber, {
+          header,
+          role: getColumnRole(header, config.columnRoles),
+        });
+      }
+    });
+
+    return columns;
+  }
+
+  // Style attributes of an Excel font (see STYLE_SEGMENTS)
+  function getFontStyle(font, processColor) {
+    if (!font) return {};
+
+    return {
+      color: font.color ? processColor(font) : null,
+      bold: Boolean(font.bold),
+      italic: Boolean(font.italic),
+      underline: Boolean(font.underline) && font.underline !== "none",
+      strike: Boolean(font.strike),
+      size: font.size || null,
+      font: font.name || null,
+    };
+  }
+
+  // Read one cell into { text, colorSegments, boldSegments, ... } with
+  // segment offsets relative to the start of the cell
+  function readCell(cell, processColor) {
+    const content = emptyContent();
+
+    switch (cell.type) {
+      case ExcelJS.ValueType.RichText:
+        cell.value.richText.forEach((rt) => {
+          const text = rt.text;
+          const startPos = content.text.length;
+
+          // Runs without their own font use the cell font
+          addStyleRun(
+            content,
+            startPos,
+            text.length,
+            getFontStyle(rt.font || cell.font, processColor)
+          );
+
+          content.text += text;
+        });
+        break;
+      default:
+        content.text = cell.text || String(cell.value || "");
+
+        // Handle cell-level font
+        addStyleRun(
+          content,
+          0,
+          content.text.length,
+          getFontStyle(cell.font, processColor)
+        );
+    }
+
+    // Cell-level bold covers the whole cell
+    if (cell.font && cell.font.bold) {
+      content.boldSegments.push({ start: 0, length: content.text.length });
+    }
+
+    return content;
+  }
+
+  // Raw value of a number/date/boolean cell so templates can format it;
+  // other cells are used as text
+  function getCellValue(cell) {
+    switch (cell.type) {
+      case ExcelJS.ValueType.Number:
+      case ExcelJS.ValueType.Date:
+      case ExcelJS.ValueType.Boolean:
+        return cell.value;
+      case ExcelJS.ValueType.Formula:
+        return cell.result instanceof Date || typeof cell.result === "number"
+          ? cell.result
+          : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  // Read the text rows of one worksheet
+  function readWorksheetRows(worksheet, processColor, file) {
+    const columns =
+      config.headerRow > 0
+        ? getColumnRoles(worksheet.getRow(config.headerRow))
+        : null;
+
+    if (
+      columns &&
+      ![...columns.values()].some(
+        (column) => column.role === "text" || column.role === "title"
+      )
+    ) {
+      logWarning(
+        `No text or title column in header row ${config.headerRow} of "${worksheet.name}" (${file})`
+      );
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (columns && rowNumber <= config.headerRow) return;
+
+      let record;
+      if (columns) {
+        const cells = [];
+        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+          const column = columns.get(colNumber);
+          if (column) {
+            cells.push({
+              ...column,
+              content: readCell(cell, processColor),
+              value: getCellValue(cell),
+            });
+          }
+        });
+        record = buildMappedRecord(cells, CELL_SEPARATORS[config.cellJoin]);
+      } else {
+        const contents = [];
+        row.eachCell({ includeEmpty: false }, (cell) => {
+          contents.push(readCell(cell, processColor));
+        });
+        record = buildJoinedRecord(contents, CELL_SEPARATORS[config.cellJoin]);
+      }
+
+      record = finalizeRecord(record, {
+        file,
+        sheet: worksheet.name,
+        row: rowNumber,
+      });
+      if (record) {
+        rows.push(record);
+      }
+    });
+
+    return rows;
+  }
+
+  // Text readers by file extension. Excel is read here; the other formats
+  // come from lib/readers.
+  const textReaders = {
+    ".xlsx": readExcelFile,
+    ".xls": readExcelFile,
+    ...createTextReaders(config),
+  };
+  const textExtensions = Object.keys(textReaders);
+
+  // Read an Excel workbook (.xlsx, or .xls through lib/readers/xls.js)
+  async function readExcelFile(fullPath) {
+    const ext = path.extname(fullPath).toLowerCase();
+    const rows = [];
+
+    // Legacy .xls (BIFF8) files are converted by lib/readers/xls.js
+    let workbook;
+    if (ext === ".xls") {
+      workbook = await readXlsWorkbook(fullPath);
+    } else {
+      workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(fullPath);
+    }
+
+    // Create processColor function with workbook context
+    const processColor = (font) => {
+      if (!font || !font.color) return null;
+
+      // Handle RGB color
+      if (font.color.rgb) {
+        // Ensure RGB is 6 characters long
+        const rgb = font.color.rgb.padStart(6, "0");
+        return `#${rgb}`;
+      }
+
+      // Handle ARGB color
+      if (font.color.argb) {
+        // Remove alpha channel and ensure remaining RGB is 6 characters
+        const rgb = font.color.argb.substring(2).padStart(6, "0");
+        return `#${rgb}`;
+      }
+
+      // Handle theme colors
+      if (font.color.theme !== undefined) {
+        const themeColor = getThemeColor(workbook, font.color.theme);
+        if (font.color.tint !== undefined) {
+          return applyTint(themeColor, font.color.tint);
+        }
+        return themeColor;
+      }
+
+      return "#000000"; // Default color
+    };
+
+    // Read rows of every selected worksheet
+    const worksheets = selectWorksheets(workbook, path.basename(fullPath));
+    for (const worksheet of worksheets) {
+      rows.push(...readWorksheetRows(worksheet, processColor, fullPath));
+    }
+
+    return rows;
+  }
+
   // Update the getThemeColor function
   function getThemeColor(workbook, theme) {
     // Updated default theme colors based on Office defaults
@@ -1017,23 +1446,37 @@ const run = () => {
 
   // Update processImage function to maintain source folder structure
   async function processImage(imagePath) {
+    const startTime = Date.now();
+    const imageReport = {
+      image: imagePath,
+      source: path.join(imagesDir, imagePath),
+      texts: [],
+      outputs: [],
+      region: null,
+      fontSize: null,
+      duration: 0,
+      success: false,
+      skipped: false,
+      error: null,
+      errorCode: null,
+    };
+
+    emitProgress("image-started", { image: imagePath });
+
     try {
       // Get relative path from images directory
-      const relativePath = path.relative(
-        imagesDir,
-        path.dirname(path.join(imagesDir, imagePath))
-      );
+      const relativePath = getImageSubDir(imagePath);
       const imageBuffer = readImageFile(imagePath);
-
-      // Get text files from corresponding subfolder in text directory
-      const textSubDir = path.join(textDir, relativePath);
-      const textFiles = fs.existsSync(textSubDir)
-        ? await getAllTextFiles(textSubDir)
-        : await getAllTextFiles(textDir); // Fallback to root text dir if subfolder doesn't exist
-
-      if (textFiles.length === 0) {
-        console.log(`⚠️ No text files available for image: ${imagePath}`);
-        return false;
+      const textFiles = await getTextsForImage(imagePath);
+      const pairs = selectTextRows(imagePath, textFiles);
+      if (pairs.length === 0) {
+        // More images than rows (one-to-one) or no row names this image
+        // (by-image): nothing to render, which is not a failure
+        logInfo(
+          `Skipping ${imagePath}: no text row paired (pairing: ${config.pairing})`
+        );
+        imageReport.skipped = true;
+        return imageReport;
       }
 
       const baseImageName = path.parse(imagePath).name;
@@ -1045,15 +1488,31 @@ const run = () => {
         fs.mkdirSync(resultSubDir, { recursive: true });
       }
 
-      // Get empty regions and metadata
-      const [metadata, emptyRegions] = await Promise.all([
-        sharp(imageBuffer).metadata(),
-        findEmptyRegions(imageBuffer),
-      ]);
-
-      // Process each text content
-      const processPromises = textFiles.map(async (textContent, i) => {
+      // Get the text regions and metadata
+      const [metadata, { regions: emptyRegions, occupancy }] =
+        await Promise.all([
+          sharp(imageBuffer).metadata(),
+          getTextRegions(imagePath, imageBuffer),
+        ]);
+      // Occupied cells of the debug overlay, shared by every text row
+      const gridLayer = config.debug ? await createGridLayer(occupancy) : null;
+
+      // Process each paired text content; `i` is the row's index in the
+      // text folder so output folders keep the same numbering in every mode
+      const processPromises = pairs.map(async ({ textContent, index: i }) => {
         const outputDir = path.join(resultSubDir, `text_${i + 1}`);
+        const textReport = {
+          row: i + 1,
+          text: textContent.text,
+          output: null,
+          region: null,
+          regions: [],
+          fontSize: null,
+          overflow: false,
+          debug: null,
+          error: null,
+          errorCode: null,
+        };
 
         // Create text-specific output directory if it doesn't exist
         if (!fs.existsSync(outputDir)) {
@@ -1061,116 +1520,536 @@ const run = () => {
         }
 
         try {
-          const result = await insertTextIntoRegions(
+          const {
+            buffer: result,
+            layout,
+            lineBoxes,
+          } = await insertTextIntoRegions(
             imageBuffer,
             textContent,
             emptyRegions
           );
-          const outputPath = path.join(outputDir, `result.${OUTPUT_FORMAT}`);
-
-          if (OUTPUT_FORMAT === "jpeg") {
-            await sharp(result)
-              .jpeg({
-                quality: JPEG_QUALITY,
-                mozjpeg: true,
-                chromaSubsampling: "4:4:4",
-              })
-              .toFile(outputPath);
-          } else {
-            await sharp(result)
-              .png({
-                compressionLevel: PNG_COMPRESSION,
-                palette: true,
-              })
-              .toFile(outputPath);
+          const outputPath = path.join(
+            outputDir,
+            `result.${config.outputFormat}`
+          );
+
+          await writeOutputImage(result, outputPath);
+
+          textReport.output = outputPath;
+          textReport.region = layout.region;
+          textReport.regions = layout.regions;
+          textReport.fontSize = layout.fontSize;
+          textReport.overflow = layout.overflow;
+
+          if (config.debug) {
+            textReport.debug = await writeDebugOverlay(
+              result,
+              {
+                gridLayer,
+                candidates: emptyRegions,
+                chosen: layout.regions,
+                lineBoxes,
+              },
+              path.join(outputDir, "debug.png")
+            );
           }
 
-          return true;
+          emitProgress("text-rendered", {
+            image: imagePath,
+            row: i + 1,
+            rows: pairs.length,
+            output: outputPath,
+          });
         } catch (error) {
           console.error(`❌ Failed processing text ${i + 1}: ${error.message}`);
-          return false;
+          textReport.error = error.message;
+          textReport.errorCode = error.code || null;
         }
+
+        return textReport;
       });
 
-      const results = await Promise.all(processPromises);
-      return results.some(Boolean);
-    } catch (error) {
-      console.error(`❌ Failed to process ${imagePath}: ${error.message}`);
-      return false;
-    }
-  }
+      imageReport.texts = await Promise.all(processPromises);
+      imageReport.outputs = imageReport.texts
+        .filter((textReport) => textReport.output)
+        .map((textReport) => textReport.output);
+
+      // Region and font size of the first rendered text row
+      const rendered = imageReport.texts.find(
+        (textReport) => textReport.output
+      );
+      if (rendered) {
+        imageReport.region = rendered.region;
+        imageReport.fontSize = rendered.fontSize;
+      }
 
-  // Update processBatch function to clean up logging
-  async function processBatch(images, batchSize = 4) {
-    const batches = [];
-    for (let i = 0; i < images.length; i += batchSize) {
-      batches.push(images.slice(i, i + batchSize));
+      imageReport.success = imageReport.outputs.length > 0;
+      if (!imageReport.success) {
+        imageReport.error = imageReport.texts[0].error;
+        imageReport.errorCode = imageReport.texts[0].errorCode;
+      }
+    } catch (error) {
+      if (!reportedErrors.has(error)) {
+        reportedErrors.add(error);
+        console.error(`❌ Failed to process ${imagePath}: ${error.message}`);
+      }
+      imageReport.error = error.message;
+      imageReport.errorCode = error.code || null;
+    } finally {
+      imageReport.duration = Date.now() - startTime;
     }
 
-    let completed = 0;
-    let successful = 0;
+    return imageReport;
+  }
 
-    console.log(
-      `\n🚀 Processing ${images.length} images (batch size: ${batchSize})`
+  // Folder of an image relative to the images directory
+  function getImageSubDir(imagePath) {
+    return path.relative(
+      imagesDir,
+      path.dirname(path.resolve(imagesDir, imagePath))
     );
+  }
 
-    const progressBar = createProgressBar(images.length, "Progress");
-    progressBar.update(0);
+  // Text rows per text folder, built once and shared by every image of that
+  // folder. An entry is rebuilt when any folder or file it was read from has
+  // a different mtime (or disappeared). Unreadable files are skipped and
+  // reported once per build; a folder whose files all fail keeps the error
+  // for the run, so images of that folder don't retry and log it again.
+  const textIndex = new Map();
+
+  // Errors already logged, when several images fail with the same one
+  const reportedErrors = new Set();
+
+  function isTextIndexFresh(entry) {
+    return entry.sources.every((source) => {
+      try {
+        return fs.statSync(source.path).mtimeMs === source.mtimeMs;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
 
-    for (const batch of batches) {
-      const results = await Promise.all(
-        batch.map((image) => processImage(image))
-      );
-      completed += batch.length;
-      successful += results.filter(Boolean).length;
+  async function buildTextIndexEntry(dir) {
+    const sources = [];
+    const failures = [];
+    let rows;
+    try {
+      rows = await getAllTextFiles(dir, sources, {}, {}, failures);
+    } catch (error) {
+      return { error, sources };
+    }
+    if (rows.length === 0 && failures.length > 0) {
+      return { error: failures[0], sources };
+    }
+    logInfo(
+      `Indexed ${rows.length} text rows from ${
+        path.relative(textDir, dir) || "text"
+      }`
+    );
+    return { rows, sources };
+  }
 
-      progressBar.update(completed);
+  async function getTextIndex(dir) {
+    const cached = textIndex.get(dir);
+    let entry = cached && (await cached);
+    if (!entry || !isTextIndexFresh(entry)) {
+      // Store the pending build so concurrent images share one read
+      const pending = buildTextIndexEntry(dir);
+      textIndex.set(dir, pending);
+      entry = await pending;
     }
 
-    progressBar.complete();
+    if (entry.error) throw entry.error;
+    return entry.rows;
+  }
 
-    if (images.length > 0) {
-      console.log(
-        `\n✨ Complete: ${successful}/${images.length} successful (${(
-          (successful / images.length) *
-          100
-        ).toFixed(1)}%)`
+  // Get text rows from the text subfolder matching the image's folder
+  async function getTextsForImage(imagePath) {
+    const textSubDir = path.join(textDir, getImageSubDir(imagePath));
+    const textFiles = fs.existsSync(textSubDir)
+      ? await getTextIndex(textSubDir)
+      : await getTextIndex(textDir); // Fallback to root text dir if subfolder doesn't exist
+
+    if (textFiles.length === 0) {
+      console.log(`⚠️ No text files available for image: ${imagePath}`);
+      throw new MissingInputError(
+        `No text files available for image: ${imagePath}`,
+        { image: imagePath }
       );
     }
+
+    return textFiles;
   }
 
-  // Update processAllImages function to clean up logging
-  async function processAllImages() {
-    const images = getAllImages();
-    if (images.length === 0) {
-      console.log("⚠️ No images found in the images directory");
-      return;
-    }
+  // Seed for random pairing, fixed per pipeline so it can be reported
+  const pairingSeed =
+    config.seed !== null ? config.seed : Math.floor(Math.random() * 2 ** 31);
 
-    await processBatch(images);
+  // 32-bit string hash (FNV-1a), used to derive per-image random streams
+  function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
 
-    // Cleanup
-    imageCache.clear();
-    currentCacheSize = 0;
+  // Small seeded PRNG (mulberry32) returning floats in [0, 1)
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
   }
 
-  // Run the program using an immediately invoked async function
-  (async () => {
-    try {
-      checkRequiredDirectories();
-      await processAllImages();
-    } catch (error) {
-      console.error("❌ Error processing images:", error.message);
-      process.exit(1);
+  // Position of each image among the images of its folder, used by the
+  // one-to-one and round-robin pairing modes
+  let imageOrder = null;
+
+  function getImageIndexInFolder(imagePath) {
+    if (!imageOrder) {
+      imageOrder = new Map();
+      const folderCounts = new Map();
+      for (const image of getAllImages()) {
+        const folder = getImageSubDir(image);
+        const index = folderCounts.get(folder) || 0;
+        imageOrder.set(image, index);
+        folderCounts.set(folder, index + 1);
+      }
     }
-  })();
 
-  // Update calculateTextWidth without BBCode handling
-  function calculateTextWidth(text, fontSize) {
-    const widthRatios = {
-      default: 0.55,
-      narrow: 0.35,
-      wide: 0.75,
+    return imageOrder.has(imagePath) ? imageOrder.get(imagePath) : 0;
+  }
+
+  // Does a row's target image (image column) name this image? Matches the
+  // relative path, the file name or the file name without extension.
+  function isRowForImage(textContent, imagePath) {
+    if (!textContent.image) return false;
+    const target = textContent.image.replace(/\\/g, "/").toLowerCase();
+    const relative = imagePath.replace(/\\/g, "/").toLowerCase();
+    const parsed = path.parse(relative);
+    return (
+      target === relative || target === parsed.base || target === parsed.name
+    );
+  }
+
+  // Choose which text rows are rendered on an image (config.pairing). Can be
+  // empty in the one-to-one and by-image modes.
+  function selectTextRows(imagePath, textFiles) {
+    const rows = textFiles.map((textContent, index) => ({
+      textContent,
+      index,
+    }));
+    let pairs;
+
+    switch (config.pairing) {
+      case "one-to-one": {
+        const row = rows[getImageIndexInFolder(imagePath)];
+        pairs = row ? [row] : [];
+        break;
+      }
+      case "round-robin":
+        pairs = [rows[getImageIndexInFolder(imagePath) % rows.length]];
+        break;
+      case "by-image":
+        pairs = rows.filter((row) => isRowForImage(row.textContent, imagePath));
+        break;
+      case "random": {
+        // Partial Fisher-Yates shuffle with a stream seeded per image, so the
+        // sample doesn't depend on processing order
+        const random = createRandom(pairingSeed ^ hashString(imagePath));
+        const pool = rows.slice();
+        const count = Math.min(config.sampleSize, pool.length);
+        for (let i = 0; i < count; i++) {
+          const j = i + Math.floor(random() * (pool.length - i));
+          [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        pairs = pool.slice(0, count).sort((a, b) => a.index - b.index);
+        break;
+      }
+      case "cartesian":
+      default:
+        pairs = rows;
+    }
+
+    return pairs;
+  }
+
+  // Encode a rendered image with the configured format and write it. The
+  // image is written to a temporary file first so an interrupted run never
+  // leaves a truncated result behind.
+  async function writeOutputImage(buffer, outputPath) {
+    const partialPath = `${outputPath}.part`;
+    try {
+      if (config.outputFormat === "jpeg") {
+        await sharp(buffer)
+          .jpeg({
+            quality: config.jpegQuality,
+            mozjpeg: true,
+            chromaSubsampling: "4:4:4",
+          })
+          .toFile(partialPath);
+      } else {
+        await sharp(buffer)
+          .png({
+            compressionLevel: config.pngCompression,
+            palette: true,
+          })
+          .toFile(partialPath);
+      }
+      fs.renameSync(partialPath, outputPath);
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw new RenderError("Failed to write output image", error, {
+        output: outputPath,
+      });
+    }
+  }
+
+  // Layer of the debug overlay marking the occupied cells of an occupancy
+  // grid in translucent red, built once per image. Null when it can't be
+  // built; the overlay is then drawn without it.
+  async function createGridLayer(occupancy) {
+    if (!occupancy) return null;
+    try {
+      const { grid, gridWidth, gridHeight, width, height } = occupancy;
+      const pixels = Buffer.alloc(gridWidth * gridHeight * 4);
+      grid.forEach((occupied, cell) => {
+        if (occupied) pixels.set([255, 0, 0, 80], cell * 4);
+      });
+      return await sharp(pixels, {
+        raw: { width: gridWidth, height: gridHeight, channels: 4 },
+      })
+        .resize(gridWidth * REGION_CELL_SIZE, gridHeight * REGION_CELL_SIZE, {
+          kernel: "nearest",
+        })
+        .extract({ left: 0, top: 0, width, height })
+        .png()
+        .toBuffer();
+    } catch (error) {
+      logWarning(`Could not draw the occupancy grid: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Debug overlay of a layout drawn over the rendered image: the occupied
+  // cells of the occupancy grid (`gridLayer`, see createGridLayer()), every
+  // candidate region with its rank and score (blue, grey when too small to
+  // use), the regions the text went in (green) and the box of each line
+  // (orange). Written as PNG. A failure only logs a warning, since the
+  // result itself is already written; returns the path, or null.
+  async function writeDebugOverlay(
+    renderedBuffer,
+    { gridLayer, candidates, chosen, lineBoxes },
+    outputPath
+  ) {
+    try {
+      const objects = [];
+      candidates.forEach((region, index) => {
+        const usable =
+          region.manual ||
+          (region.width >= config.minRegionWidth &&
+            region.height >= config.minRegionHeight);
+        const color = usable ? region.color || "blue" : "gray";
+        objects.push(
+          { ...region, type: "rectangle", color, strokeWidth: 1 },
+          {
+            type: "text",
+            text: `#${index + 1} ${Math.round(region.score || region.area)}`,
+            x: region.x + 4,
+            y: region.y + 14,
+            color,
+            fontSize: 12,
+          }
+        );
+      });
+      for (const region of chosen) {
+        objects.push({
+          ...region,
+          type: "rectangle",
+          color: "limegreen",
+          strokeWidth: 3,
+        });
+      }
+      for (const box of lineBoxes) {
+        objects.push({
+          ...box,
+          type: "rectangle",
+          color: "orange",
+          strokeWidth: 1,
+        });
+      }
+
+      const withGrid = gridLayer
+        ? await sharp(renderedBuffer)
+            .composite([{ input: gridLayer, top: 0, left: 0 }])
+            .toBuffer()
+        : renderedBuffer;
+      const annotated = await drawObjects(withGrid, objects);
+      await sharp(annotated).png().toFile(outputPath);
+      return outputPath;
+    } catch (error) {
+      logWarning(
+        `Could not write the debug overlay ${outputPath}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // Process images with at most batchSize in flight. Pause and cancel are
+  // checked before each image starts; images already running always finish.
+  async function processBatch(images, batchSize = config.batchSize) {
+    const imageReports = new Array(images.length);
+    let nextIndex = 0;
+    progress.total = images.length;
+    progress.completed = 0;
+    progress.successful = 0;
+    progress.failed = 0;
+    progress.skipped = 0;
+    progress.startTime = Date.now();
+
+    console.log(
+      `\n🚀 Processing ${images.length} images (batch size: ${batchSize})`
+    );
+
+    const progressBar = createProgressBar(images.length, "Progress");
+    progressBar.update(0);
+    emitProgress("run-started");
+
+    async function worker() {
+      while (nextIndex < images.length) {
+        await waitWhilePaused();
+        // Another worker may have taken the last image while this one waited
+        if (control.cancelled || nextIndex >= images.length) return;
+
+        const index = nextIndex++;
+        const image = images[index];
+        const result = await processImage(image);
+        imageReports[index] = result;
+
+        progress.completed++;
+        let type = "image-failed";
+        if (result.success) {
+          progress.successful++;
+          type = "image-finished";
+        } else if (result.skipped) {
+          progress.skipped++;
+          type = "image-skipped";
+        } else {
+          progress.failed++;
+        }
+        progressBar.update(progress.completed);
+        emitProgress(type, {
+          image,
+          outputs: result.outputs,
+          error: result.error,
+        });
+      }
+    }
+
+    await Promise.all(
+      Array.from({ length: Math.min(batchSize, images.length) }, worker)
+    );
+
+    if (control.cancelled) {
+      process.stdout.write("\n");
+      logWarning(
+        `Cancelled after ${progress.completed}/${images.length} images`
+      );
+      emitProgress("run-cancelled");
+    } else {
+      progressBar.complete();
+      emitProgress("run-finished");
+    }
+
+    if (images.length > 0) {
+      console.log(
+        `\n✨ Complete: ${progress.successful}/${images.length} successful (${(
+          (progress.successful / images.length) *
+          100
+        ).toFixed(1)}%)`
+      );
+    }
+
+    // Images not started (cancelled run) have no report
+    return imageReports.filter(Boolean);
+  }
+
+  // Update processAllImages function to clean up logging
+  async function processAllImages() {
+    const startTime = Date.now();
+    const report = {
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: null,
+      duration: 0,
+      total: 0,
+      processed: 0,
+      successful: 0,
+      failed: 0,
+      skipped: 0,
+      cancelled: false,
+      pairing: {
+        mode: config.pairing,
+        ...(config.pairing === "random"
+          ? { seed: pairingSeed, sampleSize: config.sampleSize }
+          : {}),
+      },
+      images: [],
+    };
+
+    const images = getAllImages();
+    if (images.length === 0) {
+      console.log("⚠️ No images found in the images directory");
+      throw new MissingInputError("No images found in the images directory");
+    }
+
+    imageOrder = null;
+    report.images = await processBatch(images);
+
+    report.total = images.length;
+    report.processed = report.images.length;
+    report.successful = report.images.filter((image) => image.success).length;
+    // Skipped: images without a paired text row and those a cancel kept
+    // from starting
+    const unpaired = report.images.filter((image) => image.skipped).length;
+    report.failed = report.processed - report.successful - unpaired;
+    report.skipped = report.total - report.processed + unpaired;
+    report.cancelled = control.cancelled;
+    report.finishedAt = new Date().toISOString();
+    report.duration = Date.now() - startTime;
+
+    // Cleanup
+    imageCache.clear();
+    currentCacheSize = 0;
+    textIndex.clear();
+    reportedErrors.clear();
+
+    return report;
+  }
+
+  // Measures text with the font files the renderer uses (see lib/fonts.js)
+  const textMeasurer = createTextMeasurer({ fontDirs: [fontsDir] });
+
+  // Width of `text` from the glyph advances and kerning of the font that
+  // draws it. `style` holds the bold, italic and family of the run. The
+  // character-class estimate below is only used when no font file is found.
+  function calculateTextWidth(text, fontSize, style = {}) {
+    const measured = textMeasurer.measure(text, fontSize, style);
+    if (measured !== null) {
+      return measured;
+    }
+
+    const widthRatios = {
+      default: 0.55,
+      narrow: 0.35,
+      wide: 0.75,
       space: 0.3,
     };
 
@@ -1198,123 +2077,242 @@ const run = () => {
     return totalWidth;
   }
 
-  // Update calculateOptimalFontSize function
-  async function calculateOptimalFontSize(
-    imageBuffer,
-    region,
-    text,
-    paragraphs
+  // Hyphenation points of words, patterns loaded per language on first use
+  const hyphenator = createHyphenator();
+
+  // Wrap the paragraphs into lines of style runs for the given font sizes.
+  // Used both to find the font size and to draw, so both measure the same
+  // runs. Paragraph gaps are returned as { isParagraphSpace: true } lines.
+  // Line breaks come from wrapWords (lib/linebreak.js); `hyphenation` lists
+  // the languages used to split long words.
+  function layoutLines(
+    textContent,
+    paragraphs,
+    {
+      normalFontSize,
+      boldFontSize,
+      baseFontSize,
+      baseFont,
+      fontFamily,
+      hyphenation = [],
+      textColor = "#000000",
+      maxWidth,
+    }
   ) {
-    try {
-      // Calculate effective region dimensions (85% of width for margins)
-      const effectiveWidth = region.width * 0.85;
-      const effectiveHeight = region.height * 0.9;
+    // Split a word where its style changes. Every run is measured with its
+    // own weight and size, the same way it is drawn.
+    const getWordRuns = (word, wordStart) => {
+      const runs = [];
+      for (let i = 0; i < word.length; i++) {
+        const style = getStyleAt(textContent, wordStart + i);
+        const last = runs[runs.length - 1];
+        if (last && isSameStyle(last.style, style)) {
+          last.text += word[i];
+        } else {
+          runs.push({ text: word[i], style });
+        }
+      }
 
-      // Count total characters and bold characters
-      let totalChars = 0;
-      let boldChars = 0;
-      paragraphs.forEach((para) => {
-        totalChars += para.text.length;
-        para.boldSegments.forEach((seg) => {
-          boldChars += seg.length;
-        });
+      return runs.map(({ text: runText, style }) => {
+        const sizeRatio = getSizeRatio(style.size, baseFontSize);
+        // Bold text is drawn at boldFontSize
+        const fontScale =
+          (style.bold ? boldFontSize / normalFontSize : 1) * sizeRatio;
+        // A font other than the base font goes in front of the text's family
+        const runFamily =
+          style.font && style.font !== baseFont
+            ? withFamily(style.font, fontFamily)
+            : fontFamily;
+        return {
+          text: runText,
+          color: style.color || textColor,
+          bold: style.bold,
+          italic: style.italic,
+          underline: style.underline,
+          strike: style.strike,
+          fontFamily: runFamily,
+          sizeRatio,
+          fontScale,
+          width: calculateTextWidth(runText, normalFontSize * fontScale, {
+            ...style,
+            family: runFamily,
+          }),
+        };
       });
+    };
 
-      // Calculate bold ratio
-      const boldRatio = boldChars / totalChars;
+    // A hyphen drawn after a split word takes the style of its last run
+    const withHyphen = (runs) => {
+      const last = runs[runs.length - 1];
+      const text = `${last.text}-`;
+      return [
+        ...runs.slice(0, -1),
+        {
+          ...last,
+          text,
+          width: calculateTextWidth(text, normalFontSize * last.fontScale, {
+            bold: last.bold,
+            italic: last.italic,
+            family: last.fontFamily,
+          }),
+        },
+      ];
+    };
 
-      // Initial size estimation adjusted for bold ratio
-      const initialSize = Math.min(
-        Math.floor(effectiveHeight / (paragraphs.length * 1.5)),
-        Math.floor(effectiveWidth / (20 + boldRatio * 5)) // Adjust width estimation based on bold ratio
+    const getWordBreakPoints = (word) =>
+      getBreakPoints(
+        word,
+        hyphenation.length > 0
+          ? hyphenator.getHyphenationPoints(word, hyphenation)
+          : []
       );
 
-      // Binary search parameters
-      let minSize = 14;
-      let maxSize = 72;
-      let bestSize = initialSize;
-      let bestLines = [];
-      let iterations = 0;
-      const maxIterations = 10;
-
-      while (minSize <= maxSize && iterations < maxIterations) {
-        const fontSize = Math.floor((minSize + maxSize) / 2);
-        const boldFontSize = fontSize * 1.1; // Bold text is 10% larger
+    const spaceWidth = calculateTextWidth(" ", normalFontSize, {
+      family: fontFamily,
+    });
+    const wrappedLines = [];
+    let isFirstParagraph = true;
+
+    paragraphs.forEach((paragraph) => {
+      // Add paragraph spacing except for first paragraph
+      if (!isFirstParagraph) {
+        wrappedLines.push({
+          text: "",
+          color: "#000000",
+          isNewParagraph: true,
+          isParagraphSpace: true,
+        });
+      }
+      isFirstParagraph = false;
+
+      // A forced line break ends the wrapped line
+      paragraph.lines.forEach((hardLine) => {
+        // Split the line into words, keeping their offsets in the text
+        const words = [...hardLine.text.matchAll(/\S+/g)].map((match) => ({
+          word: match[0],
+          wordStart: hardLine.start + match.index,
+        }));
+        // Part of a word with its style runs, and a hyphen when split there
+        const measurePiece = (index, start, end, hyphen) => {
+          const { word, wordStart } = words[index];
+          const runs = getWordRuns(word.slice(start, end), wordStart + start);
+          const pieceRuns = hyphen ? withHyphen(runs) : runs;
+          return {
+            text: `${word.slice(start, end)}${hyphen ? "-" : ""}`,
+            offset: wordStart + start,
+            runs: pieceRuns,
+            width: pieceRuns.reduce((sum, run) => sum + run.width, 0),
+          };
+        };
 
-        // Test wrap with current font sizes
-        const testLines = [];
-        let totalHeight = 0;
-        const lineHeight = fontSize * 1.2;
+        const lines = wrapWords(
+          words.map(({ word }) => word),
+          { maxWidth, spaceWidth, measurePiece, getWordBreakPoints }
+        );
 
-        // Simulate text wrapping with mixed font sizes
-        let fitsFailed = false;
+        // `start` is the offset of the line in the text. `isLastLine` marks
+        // the end of a paragraph or forced line break, which justified text
+        // leaves unstretched.
+        lines.forEach((line, lineIndex) => {
+          const runs = line.pieces.flatMap((piece) =>
+            piece.runs.map((run, index) => ({
+              ...run,
+              spaceBefore: piece.spaceBefore && index === 0,
+            }))
+          );
+          wrappedLines.push({
+            text: line.pieces
+              .map((piece) => `${piece.spaceBefore ? " " : ""}${piece.text}`)
+              .join(""),
+            isNewParagraph: false,
+            start: line.pieces[0].offset,
+            runs,
+            sizeRatio: getLineSizeRatio(runs),
+            width: line.width,
+            isLastLine: lineIndex === lines.length - 1,
+            isForcedBreak: line.isForcedBreak,
+          });
+        });
+      });
+    });
 
-        paragraphs.forEach((para, index) => {
-          if (index > 0) {
-            totalHeight += lineHeight * 0.5;
-          }
+    return wrappedLines;
+  }
 
-          let currentLine = "";
-          let lineWidth = 0;
-          let position = 0;
+  // Update calculateOptimalFontSize function. `textStyle` holds the layout
+  // settings of the text, see getTextStyle().
+  async function calculateOptimalFontSize(
+    imageBuffer,
+    region,
+    textContent,
+    paragraphs,
+    textStyle = {}
+  ) {
+    try {
+      // Calculate effective region dimensions (85% of width for margins)
+      const effectiveWidth = region.width * 0.85;
+      const effectiveHeight = region.height * 0.9;
 
-          // Process each character with its appropriate font size
-          for (const char of para.text) {
-            const isBold = para.boldSegments.some(
-              (seg) =>
-                position >= seg.start && position < seg.start + seg.length
-            );
-            const charWidth = calculateTextWidth(
-              char,
-              isBold ? boldFontSize : fontSize
-            );
+      // Lines and height of the text at one font size
+      const tryFontSize = (fontSize) => {
+        const lineHeight = fontSize * 1.2;
 
-            if (lineWidth + charWidth <= effectiveWidth) {
-              currentLine += char;
-              lineWidth += charWidth;
-            } else {
-              if (currentLine) {
-                testLines.push(currentLine);
-                totalHeight += lineHeight;
-                if (totalHeight > effectiveHeight) {
-                  fitsFailed = true;
-                  break;
-                }
-              }
-              currentLine = char;
-              lineWidth = charWidth;
-            }
-            position++;
+        // Wrap the text the way it will be drawn
+        const lines = layoutLines(textContent, paragraphs, {
+          ...textStyle,
+          normalFontSize: fontSize,
+          boldFontSize: fontSize * 1.1, // Bold text is 10% larger
+          maxWidth: effectiveWidth,
+        });
+        const testLines = [];
+        let totalHeight = 0;
+        for (const line of lines) {
+          if (line.isParagraphSpace) {
+            totalHeight += lineHeight * 0.5;
+          } else {
+            testLines.push(line.text);
+            totalHeight += lineHeight * line.sizeRatio;
           }
+        }
+        return {
+          testLines,
+          fits: totalHeight <= effectiveHeight && testLines.length > 0,
+          isForcedBreak: lines.some((line) => line.isForcedBreak),
+        };
+      };
 
-          if (fitsFailed) return;
-
-          if (currentLine) {
-            testLines.push(currentLine);
-            totalHeight += lineHeight;
-            if (totalHeight > effectiveHeight) {
-              fitsFailed = true;
-            }
+      // Largest size between 14 and 72 that fits the region, by binary
+      // search; with `allowForcedBreaks` off, words split without a break
+      // point count as not fitting
+      const searchFontSize = (allowForcedBreaks) => {
+        let minSize = 14;
+        let maxSize = 72;
+        let best = null;
+        while (minSize <= maxSize) {
+          const fontSize = Math.floor((minSize + maxSize) / 2);
+          const { testLines, fits, isForcedBreak } = tryFontSize(fontSize);
+          if (fits && (allowForcedBreaks || !isForcedBreak)) {
+            // This size fits, try larger
+            best = { size: fontSize, lines: testLines };
+            minSize = fontSize + 1;
+          } else {
+            // Too big, try smaller
+            maxSize = fontSize - 1;
           }
-        });
-
-        // Check if this size fits well
-        if (
-          !fitsFailed &&
-          totalHeight <= effectiveHeight &&
-          testLines.length > 0
-        ) {
-          // This size fits, try larger
-          bestSize = fontSize;
-          bestLines = testLines;
-          minSize = fontSize + 1;
-        } else {
-          // Too big, try smaller
-          maxSize = fontSize - 1;
         }
+        return best;
+      };
 
-        iterations++;
-      }
+      // Prefer a size that needs no forced breaks; a word without break
+      // points (a long URL or token) splits at any size, so then take the
+      // largest size that fits, and the 14px floor when nothing fits
+      const best = searchFontSize(false) ||
+        searchFontSize(true) || {
+          size: 14,
+          lines: tryFontSize(14).testLines,
+        };
+      const bestSize = best.size;
+      const bestLines = best.lines;
 
       // Calculate final metrics
       const finalLineHeight = bestSize * 1.2;
@@ -1421,7 +2419,7 @@ const run = () => {
 
     // If region is much larger than text, center it
     if (heightRatio < 0.5 || isSparseContent) {
-      return "center";
+      return "middle";
     }
 
     // If text nearly fills the region, use top alignment
@@ -1433,7 +2431,176 @@ const run = () => {
     const hasLongLines = textLines.some(
       (line) => line.text && line.text.length > 50
     );
-    return hasLongLines ? "top" : "center";
+    return hasLongLines ? "top" : "middle";
+  }
+
+  // Accepted spellings of the alignment values in row and folder styles
+  const ALIGNMENT_ALIASES = {
+    centre: "center",
+    justified: "justify",
+    start: "left",
+    end: "right",
+  };
+  const VERTICAL_ALIGNMENT_ALIASES = {
+    center: "middle",
+    centre: "middle",
+  };
+
+  // Alignment of a record: its style (align / vertical-align) wins over
+  // config.align and config.verticalAlign. Unknown values are reported and
+  // ignored.
+  function getTextAlignment(textContent) {
+    const style = textContent.style || {};
+    const pick = (names, allowed, aliases, fallback) => {
+      const name = names.find((key) => style[key]);
+      if (!name) return fallback;
+
+      const value = String(style[name]).trim().toLowerCase();
+      const resolved = aliases[value] || value;
+      if (allowed.includes(resolved)) return resolved;
+
+      logWarning(
+        `Ignoring ${name} "${style[name]}" (${describeSource(
+          textContent
+        )}): expected one of ${allowed.join(", ")}`
+      );
+      return fallback;
+    };
+
+    return {
+      align: pick(
+        ["align", "text-align"],
+        HORIZONTAL_ALIGNMENTS,
+        ALIGNMENT_ALIASES,
+        config.align
+      ),
+      verticalAlign: pick(
+        ["valign", "vertical-align"],
+        VERTICAL_ALIGNMENTS,
+        VERTICAL_ALIGNMENT_ALIASES,
+        config.verticalAlign
+      ),
+    };
+  }
+
+  // Layout settings of a record shared by the font-size search and drawing
+  function getTextStyle(textContent) {
+    const baseFont = getBaseFont(textContent);
+    return {
+      baseFontSize: getBaseFontSize(textContent),
+      baseFont,
+      fontFamily: getTextFontFamily(textContent, baseFont),
+      hyphenation: getTextHyphenation(textContent),
+    };
+  }
+
+  // Hyphenation languages of a record: its style (hyphenation or lang) wins
+  // over config.hyphenation. Languages without patterns are reported and
+  // ignored.
+  function getTextHyphenation(textContent) {
+    const style = textContent.style || {};
+    const name = ["hyphenation", "lang"].find((key) => style[key]);
+    if (!name) {
+      return parseLanguages(config.hyphenation);
+    }
+
+    const languages = parseLanguages(style[name]);
+    const unknown = languages.filter(
+      (language) => !isHyphenationLanguage(language)
+    );
+    if (unknown.length > 0) {
+      logWarning(
+        `No hyphenation patterns for ${unknown.join(", ")} (${describeSource(
+          textContent
+        )})`
+      );
+    }
+    return languages.filter(isHyphenationLanguage);
+  }
+
+  // Anchor and x of a line for the horizontal alignment. Justified lines
+  // start at the left edge and get `wordSpacing` added to every space; the
+  // last line of a paragraph stays left aligned.
+  function getLinePlacement(line, align, left, width) {
+    switch (align) {
+      case "left":
+        return { textAnchor: "start", x: left, wordSpacing: 0 };
+      case "right":
+        return { textAnchor: "end", x: left + width, wordSpacing: 0 };
+      case "justify": {
+        const gaps = line.runs.filter((run) => run.spaceBefore).length;
+        const wordSpacing =
+          !line.isLastLine && gaps > 0
+            ? Math.max(0, (width - line.width) / gaps)
+            : 0;
+        return { textAnchor: "start", x: left, wordSpacing };
+      }
+      case "center":
+      default:
+        return { textAnchor: "middle", x: left + width / 2, wordSpacing: 0 };
+    }
+  }
+
+  // Value of `property` covering most characters of the segments
+  function getDominantValue(segments = [], property) {
+    const coverage = new Map();
+    for (const seg of segments) {
+      const value = seg[property];
+      coverage.set(value, (coverage.get(value) || 0) + seg.length);
+    }
+
+    let dominant = null;
+    for (const [value, length] of coverage) {
+      if (dominant === null || length > coverage.get(dominant)) {
+        dominant = value;
+      }
+    }
+    return dominant;
+  }
+
+  // Font size most of the text is set in. Runs with another size are drawn
+  // in proportion to it; text without sizes has no base size.
+  function getBaseFontSize(textContent) {
+    return getDominantValue(textContent.sizeSegments, "size");
+  }
+
+  // Font most of the text is set in (e.g. the workbook's Calibri). Runs in
+  // this font are drawn with the family of the text, see getTextFontFamily()
+  function getBaseFont(textContent) {
+    const segments = textContent.fontSegments || [];
+    const font = getDominantValue(segments, "font");
+    const length = segments
+      .filter((seg) => seg.font === font)
+      .reduce((sum, seg) => sum + seg.length, 0);
+    return length * 2 > textContent.text.length ? font : null;
+  }
+
+  // Font family list of a record: the font of its style (style column or
+  // style.json) in front of config.fontFamily. The base font of the cells
+  // only counts when the fonts folder has it; a font that merely happens to
+  // be installed on this machine must not override fontFamily.
+  function getTextFontFamily(textContent, baseFont) {
+    const style = textContent.style || {};
+    const font =
+      style.font ||
+      style["font-family"] ||
+      (baseFont && textMeasurer.hasOwnFamily(baseFont) ? baseFont : null);
+    return font
+      ? withFamily(String(font), config.fontFamily)
+      : config.fontFamily;
+  }
+
+  function isSameStyle(a, b) {
+    return Object.keys(a).every((name) => a[name] === b[name]);
+  }
+
+  function getSizeRatio(size, baseSize) {
+    return size && baseSize ? size / baseSize : 1;
+  }
+
+  // Height factor of a wrapped line: its largest run, never below 1
+  function getLineSizeRatio(runs) {
+    return Math.max(1, ...runs.map((run) => run.sizeRatio || 1));
   }
 
   // Update insertTextIntoRegions function to remove unnecessary logging
@@ -1443,268 +2610,364 @@ const run = () => {
 
       if (!text) {
         console.log("⚠️ No text content to insert");
-        return imageBuffer;
+        return {
+          buffer: imageBuffer,
+          layout: {
+            region: null,
+            regions: [],
+            fontSize: null,
+            overflow: false,
+          },
+          lineBoxes: [],
+        };
       }
 
+      // Boxes from a sidecar file are used whatever their size
       const regions = emptyRegions.filter(
-        (r) => r.width >= 100 && r.height >= 30
+        (r) =>
+          r.manual ||
+          (r.width >= config.minRegionWidth &&
+            r.height >= config.minRegionHeight)
       );
       if (regions.length === 0) {
         console.log("⚠️ No valid regions found for text insertion");
-        return imageBuffer;
+        throw new NoUsableRegionError(undefined, {
+          candidates: emptyRegions.length,
+        });
       }
 
-      const region = regions[0];
-
-      // Process text with formatting
-      const paragraphs = text.split("\n").map((para, index) => {
-        const paraStart = text.indexOf(para);
-
-        // Adjust segments for this paragraph
-        const paraColorSegments = textContent.colorSegments
-          .filter(
-            (seg) =>
-              seg.start >= paraStart && seg.start < paraStart + para.length
-          )
-          .map((seg) => ({
-            ...seg,
-            start: seg.start - paraStart,
-          }));
-
-        const paraBoldSegments = textContent.boldSegments
-          .filter(
-            (seg) =>
-              seg.start >= paraStart && seg.start < paraStart + para.length
-          )
-          .map((seg) => ({
-            ...seg,
-            start: seg.start - paraStart,
-          }));
-
-        return {
-          text: para,
-          colorSegments: paraColorSegments,
-          boldSegments: paraBoldSegments,
-        };
-      });
-
-      // Calculate font sizes with the full text content
-      const { normalFontSize, boldFontSize, estimatedLines } =
-        await calculateOptimalFontSize(imageBuffer, region, text, paragraphs);
+      // The style of a sidecar box applies over the style of the text
+      const withRegionStyle = (region) =>
+        region.style
+          ? {
+              ...textContent,
+              style: { ...textContent.style, ...region.style },
+            }
+          : textContent;
+      const textStyle = getTextStyle(withRegionStyle(regions[0]));
+      const alignment = getTextAlignment(textContent);
+
+      // The best region alone, or the text continued through the regions
+      const { normalFontSize, parts, overflow } =
+        config.textFlow === "flow"
+          ? flowText(textContent, regions, textStyle)
+          : await fillRegion(imageBuffer, textContent, regions[0], textStyle);
+
+      if (overflow) {
+        logWarning(
+          `Text doesn't fit the free space of the image (${describeSource(
+            textContent
+          )})`
+        );
+      }
 
-      // Calculate spacing metrics with 80% width
-      const effectiveWidth = region.width * 0.85;
-      const textStartX = region.x + region.width * 0.075;
-      const lineHeight = normalFontSize * 1.2;
+      const textObjects = parts.flatMap(({ region, lines }) =>
+        placeLines(lines, region, {
+          normalFontSize,
+          fontFamily: textStyle.fontFamily,
+          alignment: region.style
+            ? getTextAlignment(withRegionStyle(region))
+            : alignment,
+        })
+      );
 
-      // Process each paragraph and wrap text
-      const wrappedLines = [];
-      let isFirstParagraph = true;
+      // Draw the text
+      const buffer = await drawRegionsWithText(
+        imageBuffer,
+        parts.map(({ region }) => region),
+        textObjects
+      );
 
-      paragraphs.forEach((paragraph, pIndex) => {
-        // Add paragraph spacing except for first paragraph
-        if (!isFirstParagraph) {
-          wrappedLines.push({
-            text: "",
-            color: "#000000",
-            isNewParagraph: true,
-            isBold: false,
-            isParagraphSpace: true,
-          });
-        }
-        isFirstParagraph = false;
-
-        // Split paragraph into words
-        const words = paragraph.text.split(" ");
-        let currentLine = "";
-        let currentWidth = 0;
-        let currentLineStart = paragraph.text.indexOf(words[0]);
-        let currentLineColors = [];
-
-        words.forEach((word, wIndex) => {
-          const wordStart = paragraph.text.indexOf(word, currentLineStart);
-          const isBold = paragraph.boldSegments.some(
-            (seg) =>
-              seg.start <= wordStart &&
-              seg.start + seg.length >= wordStart + word.length
-          );
+      const usedRegions = parts.map(({ region }) => ({
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height,
+      }));
+      return {
+        buffer,
+        layout: {
+          region: usedRegions[0] || null,
+          regions: usedRegions,
+          fontSize: normalFontSize,
+          overflow,
+        },
+        lineBoxes: textObjects.map(({ box }) => box),
+      };
+    } catch (error) {
+      console.error("❌ Text insertion failed:", error.message);
+      throw error;
+    }
+  }
 
-          // Get color for the word
-          const wordColor =
-            paragraph.colorSegments.find(
-              (seg) =>
-                seg.start <= wordStart &&
-                seg.start + seg.length >= wordStart + word.length
-            )?.color || "#000000";
-
-          const wordWidth = calculateTextWidth(
-            word,
-            isBold ? boldFontSize : normalFontSize
-          );
-          const spaceWidth = calculateTextWidth(" ", normalFontSize);
+  // Layout in a single region at the largest font size that fits it
+  async function fillRegion(imageBuffer, textContent, region, textStyle) {
+    // Paragraphs and their forced line breaks, with offsets into the text
+    const paragraphs = splitParagraphs(textContent.text);
+
+    // Calculate font sizes with the full text content
+    const { normalFontSize, boldFontSize } = await calculateOptimalFontSize(
+      imageBuffer,
+      region,
+      textContent,
+      paragraphs,
+      textStyle
+    );
 
-          if (currentWidth + wordWidth <= effectiveWidth) {
-            // Add word to current line with its color
-            if (currentLine) {
-              currentLine += " ";
-              currentWidth += spaceWidth;
-            }
-            currentLine += word;
-            currentWidth += wordWidth;
+    // Process each paragraph and wrap text
+    const lines = layoutLines(textContent, paragraphs, {
+      ...textStyle,
+      // Text without a colour of its own contrasts with the region
+      textColor: getTextColor(region.background || "#ffffff"),
+      normalFontSize,
+      boldFontSize,
+      maxWidth: region.width * 0.85,
+    });
 
-            // Store color information for the word
-            currentLineColors.push({
-              text: word,
-              start: currentLine.length - word.length,
-              color: wordColor,
-            });
-          } else {
-            // Start new line
-            if (currentLine) {
-              wrappedLines.push({
-                text: currentLine,
-                isNewParagraph: false,
-                isBold: paragraph.boldSegments.some(
-                  (seg) =>
-                    seg.start <= currentLineStart &&
-                    seg.start + seg.length >=
-                      currentLineStart + currentLine.length
-                ),
-                colorSegments: currentLineColors,
-              });
-            }
-            currentLine = word;
-            currentWidth = wordWidth;
-            currentLineStart = wordStart;
-            currentLineColors = [
-              {
-                text: word,
-                start: 0,
-                color: wordColor,
-              },
-            ];
-          }
-        });
+    return {
+      normalFontSize,
+      parts: [{ region, lines }],
+      overflow: getTextHeight(lines, normalFontSize * 1.2) > region.height,
+    };
+  }
 
-        // Add last line of paragraph with color segments
-        if (currentLine) {
-          wrappedLines.push({
-            text: currentLine,
-            isNewParagraph: false,
-            isBold: paragraph.boldSegments.some(
-              (seg) =>
-                seg.start <= currentLineStart &&
-                seg.start + seg.length >= currentLineStart + currentLine.length
-            ),
-            colorSegments: currentLineColors,
-          });
+  // Flow layout: regions are filled in reading order, each taking the lines
+  // that fit its height before the text continues in the next one. The font
+  // size is the largest at which the whole text fits, or the 14px floor.
+  function flowText(textContent, regions, textStyle) {
+    // Sidecar boxes are filled in the order they are listed
+    const flowRegions = regions.every((region) => region.manual)
+      ? regions
+      : sortReadingOrder(pickDisjointRegions(regions));
+
+    // Sizes without forced breaks first, as in calculateOptimalFontSize()
+    const search = (allowForcedBreaks) => {
+      let minSize = 14;
+      let maxSize = 72;
+      let best = null;
+      while (minSize <= maxSize) {
+        const fontSize = Math.floor((minSize + maxSize) / 2);
+        const flow = flowLines(textContent, flowRegions, textStyle, fontSize);
+        if (!flow.overflow && (allowForcedBreaks || !flow.isForcedBreak)) {
+          best = flow;
+          minSize = fontSize + 1;
+        } else {
+          maxSize = fontSize - 1;
         }
+      }
+      return best;
+    };
 
-        // Remove the paragraph separator at the end of paragraphs
-        if (pIndex < paragraphs.length - 1) {
-          // We don't need this anymore as we're handling spacing differently
-          // wrappedLines.push({
-          //   text: '',
-          //   color: '#000000',
-          //   isNewParagraph: true,
-          //   isBold: false
-          // });
-        }
+    return (
+      search(false) ||
+      search(true) ||
+      flowLines(textContent, flowRegions, textStyle, 14)
+    );
+  }
+
+  // Lines of the text per region at one font size. `overflow` is set when
+  // text is left after the last region.
+  function flowLines(textContent, regions, textStyle, fontSize) {
+    const lineHeight = fontSize * 1.2;
+    const parts = [];
+    let start = 0;
+    let isForcedBreak = false;
+
+    for (const region of regions) {
+      const rest = sliceContent(textContent, start);
+      const lines = layoutLines(rest, splitParagraphs(rest.text), {
+        ...textStyle,
+        textColor: getTextColor(region.background || "#ffffff"),
+        normalFontSize: fontSize,
+        boldFontSize: fontSize * 1.1,
+        maxWidth: region.width * 0.85,
       });
 
-      // Calculate paragraph spacing after wrappedLines is created
-      const paragraphSpacing =
-        lineHeight * (wrappedLines.length > 10 ? 1.1 : 1.3);
+      // Lines up to the region's height, without a paragraph gap at the end
+      let height = 0;
+      let count = 0;
+      for (const line of lines) {
+        const next =
+          height +
+          lineHeight * (line.isParagraphSpace ? 0.5 : line.sizeRatio || 1);
+        if (next > region.height * 0.9) break;
+        height = next;
+        count++;
+      }
+      const regionLines = lines.slice(0, count);
+      while (
+        regionLines.length > 0 &&
+        regionLines[regionLines.length - 1].isParagraphSpace
+      ) {
+        regionLines.pop();
+      }
+      if (regionLines.length > 0) {
+        parts.push({ region, lines: regionLines });
+        isForcedBreak ||= regionLines.some((line) => line.isForcedBreak);
+      }
 
-      // Calculate total text height
-      const totalTextHeight = wrappedLines.reduce((height, line) => {
-        if (line.isParagraphSpace) {
-          return (
-            height +
-            (wrappedLines.length > 10 ? lineHeight * 0.5 : paragraphSpacing)
-          );
-        }
-        return height + lineHeight;
-      }, 0);
-
-      // Determine vertical alignment
-      const verticalAlignment = determineVerticalAlignment(
-        region,
-        totalTextHeight,
-        wrappedLines
-      );
+      // The next region starts at the first line that didn't fit
+      const nextLine = lines
+        .slice(count)
+        .find((line) => !line.isParagraphSpace);
+      if (!nextLine) {
+        start = textContent.text.length;
+        break;
+      }
+      start += nextLine.start;
+    }
 
-      // Calculate starting Y position based on alignment
-      let startY;
-      const topPadding = lineHeight * 0.5;
-      const bottomPadding = lineHeight * 0.5;
+    return {
+      normalFontSize: fontSize,
+      parts,
+      overflow: textContent.text.slice(start).trim() !== "",
+      isForcedBreak,
+    };
+  }
 
-      switch (verticalAlignment) {
-        case "top":
-          startY = region.y + topPadding;
-          break;
-        case "bottom":
-          startY = region.y + region.height - totalTextHeight - bottomPadding;
-          break;
-        case "center":
-        default:
-          startY = region.y + (region.height - totalTextHeight) / 2;
-          break;
+  // Height of wrapped lines as placeLines() stacks them
+  function getTextHeight(lines, lineHeight) {
+    const paragraphSpacing = lineHeight * (lines.length > 10 ? 1.1 : 1.3);
+    return lines.reduce((height, line) => {
+      if (line.isParagraphSpace) {
+        return (
+          height + (lines.length > 10 ? lineHeight * 0.5 : paragraphSpacing)
+        );
       }
+      return height + lineHeight * (line.sizeRatio || 1);
+    }, 0);
+  }
 
-      // Ensure startY is within bounds
-      startY = Math.max(
-        region.y + topPadding,
-        Math.min(
-          startY,
-          region.y + region.height - totalTextHeight - bottomPadding
-        )
-      );
+  // Text objects of wrapped lines positioned in a region with the alignment
+  // of the text
+  function placeLines(
+    wrappedLines,
+    region,
+    { normalFontSize, fontFamily, alignment }
+  ) {
+    // Calculate spacing metrics with 80% width
+    const effectiveWidth = region.width * 0.85;
+    const textStartX = region.x + region.width * 0.075;
+    const lineHeight = normalFontSize * 1.2;
+
+    // Calculate paragraph spacing after wrappedLines is created
+    const paragraphSpacing =
+      lineHeight * (wrappedLines.length > 10 ? 1.1 : 1.3);
+
+    // Calculate total text height
+    const totalTextHeight = getTextHeight(wrappedLines, lineHeight);
+
+    // Determine vertical alignment
+    const verticalAlignment =
+      alignment.verticalAlign === "auto"
+        ? determineVerticalAlignment(region, totalTextHeight, wrappedLines)
+        : alignment.verticalAlign;
+
+    // Calculate starting Y position based on alignment
+    let startY;
+    const topPadding = lineHeight * 0.5;
+    const bottomPadding = lineHeight * 0.5;
+
+    switch (verticalAlignment) {
+      case "top":
+        startY = region.y + topPadding;
+        break;
+      case "bottom":
+        startY = region.y + region.height - totalTextHeight - bottomPadding;
+        break;
+      case "middle":
+      default:
+        startY = region.y + (region.height - totalTextHeight) / 2;
+        break;
+    }
 
-      // Create text objects with updated positioning
-      let currentY = startY;
-      const textObjects = wrappedLines
-        .map((line) => {
-          if (!line.text && !line.isNewParagraph) return null;
+    // Ensure startY is within bounds
+    startY = Math.max(
+      region.y + topPadding,
+      Math.min(
+        startY,
+        region.y + region.height - totalTextHeight - bottomPadding
+      )
+    );
 
-          if (line.isParagraphSpace) {
-            currentY += paragraphSpacing - lineHeight;
-            return null;
-          }
+    // Create text objects with updated positioning
+    let currentY = startY;
+    return wrappedLines
+      .map((line) => {
+        if (!line.text && !line.isNewParagraph) return null;
 
-          const fontSize = line.isBold ? boldFontSize : normalFontSize;
-          const textObject = {
-            type: "text",
-            text: line.text,
-            x: textStartX + effectiveWidth / 2,
-            y: currentY + fontSize / 2,
-            color: line.color || "#000000",
-            fontSize: fontSize,
-            textAnchor: "middle",
-            dominantBaseline: "middle",
-            fontWeight: line.isBold ? "bold" : "normal",
-            fontFamily: "Arial, Helvetica, sans-serif",
-            style: `letter-spacing: 0px`,
-            colorSegments: line.colorSegments || [], // Add color segments information
-          };
+        if (line.isParagraphSpace) {
+          currentY += paragraphSpacing - lineHeight;
+          return null;
+        }
 
-          currentY += lineHeight;
-          return textObject;
-        })
-        .filter((obj) => obj !== null);
+        // Weight and size are set per run, see getRunAttributes()
+        const fontSize = normalFontSize;
+        // Lines with larger runs take more height
+        const lineSizeRatio = line.sizeRatio || 1;
+        const { textAnchor, x, wordSpacing } = getLinePlacement(
+          line,
+          alignment.align,
+          textStartX,
+          effectiveWidth
+        );
+        // The renderer puts the baseline at `y`
+        const y = currentY + (fontSize * lineSizeRatio) / 2;
+        const textObject = {
+          type: "text",
+          text: line.text,
+          x,
+          y,
+          box: getLineBox({
+            x,
+            y,
+            textAnchor,
+            width: wordSpacing > 0 ? effectiveWidth : line.width,
+            fontSize: fontSize * lineSizeRatio,
+            lineHeight: lineHeight * lineSizeRatio,
+            fontFamily,
+          }),
+          color: line.color || "#000000",
+          fontSize: fontSize,
+          textAnchor,
+          wordSpacing,
+          dominantBaseline: "middle",
+          fontWeight: "normal",
+          fontFamily,
+          style: `letter-spacing: 0px`,
+          runs: line.runs || [], // Styled runs of the line
+        };
 
-      // Draw the text
-      return await drawRegionsWithText(imageBuffer, [region], textObjects);
-    } catch (error) {
-      console.error("❌ Text insertion failed:", error.message);
-      throw error;
-    }
+        currentY += lineHeight * lineSizeRatio;
+        return textObject;
+      })
+      .filter((obj) => obj !== null);
   }
 
-  // Add these constants at the top of the file
-  const JPEG_QUALITY = 90; // Adjust JPEG quality (0-100)
-  const PNG_COMPRESSION = 9; // PNG compression level (0-9)
-  const OUTPUT_FORMAT = "jpeg"; // or 'png' based on your needs
+  // Box a placed line takes, for the debug overlay: the ascent and descent of
+  // its font around the baseline, with the rest of the line height split
+  // above and below. Justified lines are passed the full width.
+  function getLineBox({
+    x,
+    y,
+    textAnchor,
+    width,
+    fontSize,
+    lineHeight,
+    fontFamily,
+  }) {
+    const { ascent, descent } = textMeasurer.getVerticalMetrics(fontSize, {
+      family: fontFamily,
+    }) || { ascent: fontSize * 0.8, descent: fontSize * 0.2 };
+    const leading = lineHeight - ascent - descent;
+    const anchorShare = { start: 0, middle: 0.5, end: 1 }[textAnchor];
+    return {
+      x: x - width * anchorShare,
+      y: y - ascent - leading / 2,
+      width,
+      height: lineHeight,
+    };
+  }
 
   // Add these utility functions for the progress bar
   function createProgressBar(total, title = "Progress") {
@@ -1744,6 +3007,135 @@ const run = () => {
 
     return { update, complete };
   }
+
+  // Run the program and resolve with the run report; errors reject the promise
+  async function runAll() {
+    try {
+      checkRequiredDirectories();
+      return await processAllImages();
+    } catch (error) {
+      console.error("❌ Error processing images:", error.message);
+      throw error;
+    }
+  }
+
+  // Detect empty regions of one image (path relative to imagesDir or absolute)
+  async function detectRegions(imagePath) {
+    const imageBuffer = readImageFile(imagePath);
+    const [metadata, { regions: emptyRegions, file }] = await Promise.all([
+      sharp(imageBuffer).metadata(),
+      getTextRegions(imagePath, imageBuffer),
+    ]);
+
+    return {
+      image: imagePath,
+      width: metadata.width,
+      height: metadata.height,
+      // Sidecar file the boxes were read from, null when detected
+      regionsFile: file,
+      regions: emptyRegions.map(
+        ({ x, y, width, height, area, score, manual }) => ({
+          x,
+          y,
+          width,
+          height,
+          area,
+          score: Math.round(score),
+          usable:
+            manual ||
+            (width >= config.minRegionWidth &&
+              height >= config.minRegionHeight),
+        })
+      ),
+    };
+  }
+
+  // List text rows found in the text directory (or one of its subfolders)
+  async function listTexts(subDir = "") {
+    const dir = path.resolve(textDir, subDir);
+    if (!fs.existsSync(dir)) {
+      throw new MissingInputError(`Text folder not found: ${dir}`, { dir });
+    }
+
+    const textFiles = await getTextIndex(dir);
+    return textFiles.map((textContent, i) => ({
+      row: i + 1,
+      ...textContent,
+    }));
+  }
+
+  // Render a single image with one text row (1-based) without a full run
+  async function preview(imagePath, row, outputPath) {
+    const textFiles = await getTextsForImage(imagePath);
+    const textContent = textFiles[row - 1];
+    if (!textContent) {
+      throw new MissingInputError(
+        `Text row ${row} not found (${textFiles.length} rows available)`,
+        { image: imagePath, row }
+      );
+    }
+
+    const imageBuffer = readImageFile(imagePath);
+    const { regions: emptyRegions, occupancy } = await getTextRegions(
+      imagePath,
+      imageBuffer
+    );
+    const { buffer, layout, lineBoxes } = await insertTextIntoRegions(
+      imageBuffer,
+      textContent,
+      emptyRegions
+    );
+
+    const output =
+      outputPath ||
+      path.join(
+        resultDir,
+        "preview",
+        `${path.parse(imagePath).name}_text_${row}.${config.outputFormat}`
+      );
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    await writeOutputImage(buffer, output);
+
+    // The overlay goes next to the preview: photo_text_1.debug.png
+    const { dir, name } = path.parse(output);
+    const debug = config.debug
+      ? await writeDebugOverlay(
+          buffer,
+          {
+            gridLayer: await createGridLayer(occupancy),
+            candidates: emptyRegions,
+            chosen: layout.regions,
+            lineBoxes,
+          },
+          path.join(dir, `${name}.debug.png`)
+        )
+      : null;
+
+    return {
+      image: imagePath,
+      row,
+      text: textContent.text,
+      output,
+      debug,
+      ...layout,
+    };
+  }
+
+  // The pipeline is an EventEmitter so callers can subscribe to "progress"
+  return Object.assign(events, {
+    config,
+    run: runAll,
+    pause,
+    resume,
+    cancel,
+    detectRegions,
+    listTexts,
+    preview,
+    getAllImages,
+  });
 };
 
-module.exports = { run };
+// Run the whole batch with the given options and resolve with the run report
+const run = async (options = {}) => createPipeline(options).run();
+
+module.exports = { run, createPipeline };
@@ -0,0 +1,82 @@
+// Typed errors raised by the insert pipeline. Each one carries a stable
+// `code` so callers (main.js, scripts) can react without parsing messages.
+class InsertImageError extends Error {
+  constructor(message, code = "INSERT_IMAGE_ERROR", details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Options passed to run() failed validation
+class InvalidOptionsError extends InsertImageError {
+  constructor(message, details = {}) {
+    super(message, "INVALID_OPTIONS", details);
+  }
+}
+
+// Required folders or files are missing (empty images/text folders, etc.)
+class MissingInputError extends InsertImageError {
+  constructor(message, details = {}) {
+    super(message, "MISSING_INPUT", details);
+  }
+}
+
+// A text source file exists but could not be parsed
+class WorkbookReadError extends InsertImageError {
+  constructor(file, cause) {
+    super(
+      `Unable to read text source ${file}: ${
+        cause ? cause.message : "unknown"
+      }`,
+      "WORKBOOK_UNREADABLE",
+      { file }
+    );
+    this.cause = cause;
+  }
+}
+
+// No empty region on the image is large enough to hold text
+class NoUsableRegionError extends InsertImageError {
+  constructor(
+    message = "No usable region found for text insertion",
+    details = {}
+  ) {
+    super(message, "NO_USABLE_REGION", details);
+  }
+}
+
+// A text-box sidecar file of an image (photo.regions.json, regions.json)
+// is unreadable or describes invalid boxes
+class InvalidRegionsError extends InsertImageError {
+  constructor(file, problems) {
+    super(
+      `Invalid text boxes in ${file}: ${problems.join("; ")}`,
+      "INVALID_REGIONS",
+      { file, problems }
+    );
+  }
+}
+
+// Drawing or encoding the output image failed
+class RenderError extends InsertImageError {
+  constructor(message, cause, details = {}) {
+    super(
+      cause ? `${message}: ${cause.message}` : message,
+      "RENDER_FAILED",
+      details
+    );
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  InsertImageError,
+  InvalidOptionsError,
+  MissingInputError,
+  WorkbookReadError,
+  NoUsableRegionError,
+  InvalidRegionsError,
+  RenderError,
+};
@@ -0,0 +1,393 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const fontkit = require("fontkit");
+
+// Font family the SVG asks for when a run has no font of its own
+const DEFAULT_FONT_FAMILY = "Arial, Helvetica, sans-serif";
+
+const FONT_EXTENSIONS = [".ttf", ".otf", ".ttc"];
+
+// Fontconfig setup in effect before registerFontDirs() replaced it
+const BASE_FONTCONFIG_FILE = process.env.FONTCONFIG_FILE || null;
+
+// Folders searched for installed fonts on each platform
+function getSystemFontDirs() {
+  const home = os.homedir();
+  switch (process.platform) {
+    case "win32":
+      return [
+        path.join(process.env.WINDIR || "C:\\Windows", "Fonts"),
+        path.join(
+          process.env.LOCALAPPDATA || path.join(home, "AppData", "Local"),
+          "Microsoft",
+          "Windows",
+          "Fonts"
+        ),
+      ];
+    case "darwin":
+      return [
+        "/System/Library/Fonts",
+        "/Library/Fonts",
+        path.join(home, "Library", "Fonts"),
+      ];
+    default:
+      return [
+        "/usr/share/fonts",
+        "/usr/local/share/fonts",
+        path.join(home, ".fonts"),
+        path.join(home, ".local", "share", "fonts"),
+      ];
+  }
+}
+
+// Fontconfig setups the generated config includes when none was set before,
+// for the aliases and rendering rules of the system. Missing ones are
+// ignored; on Windows the font folders above are all there is.
+function getBaseFontconfigFiles() {
+  if (BASE_FONTCONFIG_FILE) {
+    return [BASE_FONTCONFIG_FILE];
+  }
+  switch (process.platform) {
+    case "win32":
+      return [];
+    case "darwin":
+      return [
+        "/opt/homebrew/etc/fonts/fonts.conf",
+        "/usr/local/etc/fonts/fonts.conf",
+        "/etc/fonts/fonts.conf",
+      ];
+    default:
+      return ["/etc/fonts/fonts.conf"];
+  }
+}
+
+// Families fontconfig substitutes for common names, so the family measured
+// is the one librsvg draws with
+const FAMILY_ALIASES = {
+  arial: ["Liberation Sans", "Arimo"],
+  helvetica: ["Liberation Sans", "Arimo"],
+  "times new roman": ["Liberation Serif", "Tinos"],
+  "courier new": ["Liberation Mono", "Cousine"],
+  "sans-serif": ["DejaVu Sans", "Liberation Sans", "Noto Sans", "Arial"],
+  serif: ["DejaVu Serif", "Liberation Serif", "Noto Serif", "Times New Roman"],
+  monospace: ["DejaVu Sans Mono", "Liberation Mono", "Courier New"],
+};
+
+// CSS generic families, which no font file is named after
+const GENERIC_FAMILIES = [
+  "serif",
+  "sans-serif",
+  "monospace",
+  "cursive",
+  "fantasy",
+  "system-ui",
+];
+
+// Put `font` in front of a family list: "Roboto" -> "'Roboto', Arial, ..."
+function withFamily(font, familyList) {
+  return `'${font.replace(/'/g, "")}', ${familyList}`;
+}
+
+// "'Calibri', Arial, sans-serif" -> ["Calibri", "Arial", "sans-serif"]
+function parseFamilyList(value) {
+  return value
+    .split(",")
+    .map((family) => family.trim().replace(/^['"]|['"]$/g, ""))
+    .filter(Boolean);
+}
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function listFontFiles(dir, depth = 0, files = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && depth < 4) {
+      listFontFiles(fullPath, depth + 1, files);
+    } else if (
+      FONT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+    ) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Measures text with the glyph advances and kerning of real font files.
+// Families are resolved like the renderer does: the first family of the list
+// that has a font file wins, and characters missing from it are measured with
+// the next family that has them. `fontDirs` are searched before the system
+// folders. measure() returns null when no font file is found at all.
+function createTextMeasurer({ fontDirs = [] } = {}) {
+  let fontFiles = null;
+  let ownFamilies = null;
+  let systemFamilies = null;
+  const facesByFile = new Map();
+  const familyCache = new Map();
+  const resolvedCache = new Map();
+  const widthCache = new Map();
+
+  // Font files of `fontDirs` and of the system folders
+  function getFontFiles() {
+    if (!fontFiles) {
+      fontFiles = { own: [], system: [] };
+      for (const dir of fontDirs) {
+        listFontFiles(dir, 0, fontFiles.own);
+      }
+      for (const dir of getSystemFontDirs()) {
+        listFontFiles(dir, 0, fontFiles.system);
+      }
+    }
+    return fontFiles;
+  }
+
+  // Faces of `files` by lower-case family name, read from their name tables
+  function indexFamilies(files) {
+    const families = new Map();
+    for (const file of files) {
+      for (const face of getFaces(file)) {
+        for (const name of new Set(
+          face.families.map((family) => family.toLowerCase())
+        )) {
+          if (!families.has(name)) families.set(name, []);
+          families.get(name).push(face);
+        }
+      }
+    }
+    return families;
+  }
+
+  // Faces of a font file (several for .ttc collections)
+  function getFaces(file) {
+    if (!facesByFile.has(file)) {
+      let faces = [];
+      try {
+        const font = fontkit.openSync(file);
+        faces = (font.fonts || [font]).map((face) => ({
+          file,
+          font: face,
+          families: [
+            face.familyName,
+            face.name && face.name.records.preferredFamily
+              ? Object.values(face.name.records.preferredFamily)[0]
+              : null,
+          ].filter(Boolean),
+          weight: face["OS/2"] ? face["OS/2"].usWeightClass : 400,
+          italic:
+            face.italicAngle !== 0 ||
+            /italic|oblique/i.test(face.subfamilyName || ""),
+        }));
+      } catch {
+        // Unreadable or unsupported font file
+      }
+      facesByFile.set(file, faces);
+    }
+    return facesByFile.get(file);
+  }
+
+  // All faces of a family. Every file of `fontDirs` is indexed by the family
+  // in its name table, whatever the file is called. In the large system
+  // folders only files whose name shares the first word of the family are
+  // opened at first; the whole folder is indexed once if that finds nothing
+  // (short Windows names like "cour.ttf" for Courier New).
+  function getFamilyFaces(family) {
+    const key = family.toLowerCase();
+    if (!familyCache.has(key)) {
+      ownFamilies ||= indexFamilies(getFontFiles().own);
+
+      const prefix = normalizeName(family.split(/\s+/)[0]);
+      let systemFaces = [];
+      for (const file of getFontFiles().system) {
+        if (!normalizeName(path.basename(file)).includes(prefix)) continue;
+        for (const face of getFaces(file)) {
+          if (face.families.some((name) => name.toLowerCase() === key)) {
+            systemFaces.push(face);
+          }
+        }
+      }
+      if (systemFaces.length === 0 && !GENERIC_FAMILIES.includes(key)) {
+        systemFamilies ||= indexFamilies(getFontFiles().system);
+        systemFaces = systemFamilies.get(key) || [];
+      }
+
+      familyCache.set(key, [...(ownFamilies.get(key) || []), ...systemFaces]);
+    }
+    return familyCache.get(key);
+  }
+
+  // Closest face of a family for the requested weight and slant
+  function selectFace(faces, { bold, italic }) {
+    const weight = bold ? 700 : 400;
+    let best = null;
+    let bestScore = Infinity;
+    for (const face of faces) {
+      const score =
+        Math.abs(face.weight - weight) + (face.italic === !!italic ? 0 : 1000);
+      if (score < bestScore) {
+        best = face;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Faces for a family list, aliases and generic families expanded
+  function resolveFaces(familyList, style) {
+    const key = `${familyList}|${!!style.bold}|${!!style.italic}`;
+    if (resolvedCache.has(key)) {
+      return resolvedCache.get(key);
+    }
+
+    const faces = [];
+    const seen = new Set();
+    const visit = (family) => {
+      const key = family.toLowerCase();
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const face = selectFace(getFamilyFaces(family), style);
+      if (face) faces.push(face);
+      for (const alias of FAMILY_ALIASES[key] || []) {
+        visit(alias);
+      }
+    };
+    parseFamilyList(familyList).forEach(visit);
+    resolvedCache.set(key, faces);
+    return faces;
+  }
+
+  // Advance width of a string in font units, kerning included
+  function getAdvance(face, text) {
+    const key = `${face.file}|${face.font.postscriptName}|${text}`;
+    if (!widthCache.has(key)) {
+      widthCache.set(key, face.font.layout(text).advanceWidth);
+    }
+    return widthCache.get(key);
+  }
+
+  // Width in pixels of `text` at `fontSize`. `style` holds bold, italic and
+  // family, the family list the text is drawn with.
+  function measure(text, fontSize, style = {}) {
+    const faces = resolveFaces(style.family || DEFAULT_FONT_FAMILY, style);
+    if (faces.length === 0) return null;
+
+    // Group consecutive characters drawn with the same face
+    let width = 0;
+    let chunk = "";
+    let chunkFace = null;
+    const flush = () => {
+      if (chunk) {
+        width +=
+          (getAdvance(chunkFace, chunk) / chunkFace.font.unitsPerEm) * fontSize;
+      }
+      chunk = "";
+    };
+
+    for (const char of text.normalize("NFC")) {
+      const face =
+        faces.find((candidate) =>
+          candidate.font.hasGlyphForCodePoint(char.codePointAt(0))
+        ) || faces[0];
+      if (face !== chunkFace) {
+        flush();
+        chunkFace = face;
+      }
+      chunk += char;
+    }
+    flush();
+
+    return width;
+  }
+
+  // Whether a font file of `fontDirs` has this family
+  function hasOwnFamily(family) {
+    ownFamilies ||= indexFamilies(getFontFiles().own);
+    return ownFamilies.has(family.toLowerCase());
+  }
+
+  // Ascent and descent in pixels at `fontSize` of the first face the family
+  // list resolves to, or null when no font file is found
+  function getVerticalMetrics(fontSize, style = {}) {
+    const [face] = resolveFaces(style.family || DEFAULT_FONT_FAMILY, style);
+    if (!face) return null;
+    const scale = fontSize / face.font.unitsPerEm;
+    return {
+      ascent: face.font.ascent * scale,
+      descent: Math.abs(face.font.descent) * scale,
+    };
+  }
+
+  return { measure, getVerticalMetrics, hasOwnFamily };
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Make the font files of `dirs` available to the SVG renderer. sharp draws
+// SVG text with librsvg, which finds fonts through fontconfig; fontconfig
+// reads FONTCONFIG_FILE once, when the first text is drawn, so only the
+// first registration of a process is applied; later calls (another pipeline
+// in the same Electron process) return that config file unchanged.
+let registeredConfigFile = null;
+
+function registerFontDirs(dirs) {
+  if (registeredConfigFile) {
+    return registeredConfigFile;
+  }
+
+  const fontDirs = dirs.filter((dir) => fs.existsSync(dir));
+  if (fontDirs.length === 0) {
+    return null;
+  }
+
+  const config = [
+    '<?xml version="1.0"?>',
+    '<!DOCTYPE fontconfig SYSTEM "fonts.dtd">',
+    "<fontconfig>",
+    ...[...fontDirs, ...getSystemFontDirs()].map(
+      (dir) => `  <dir>${escapeXml(path.resolve(dir))}</dir>`
+    ),
+    ...getBaseFontconfigFiles().map(
+      (file) => `  <include ignore_missing="yes">${escapeXml(file)}</include>`
+    ),
+    `  <cachedir>${escapeXml(
+      path.join(os.tmpdir(), "insert-image-fontcache")
+    )}</cachedir>`,
+    "</fontconfig>",
+    "",
+  ].join("\n");
+
+  // Named after its content, so runs with the same folders share the file
+  const hash = crypto.createHash("sha1").update(config).digest("hex");
+  const configFile = path.join(
+    os.tmpdir(),
+    `insert-image-fonts-${hash.slice(0, 12)}.conf`
+  );
+  fs.writeFileSync(configFile, config);
+  process.env.FONTCONFIG_FILE = configFile;
+  registeredConfigFile = configFile;
+  return configFile;
+}
+
+module.exports = {
+  DEFAULT_FONT_FAMILY,
+  withFamily,
+  parseFamilyList,
+  createTextMeasurer,
+  registerFontDirs,
+};
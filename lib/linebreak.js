@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+
+// The hyphen package has one folder per language ("en-us", "de", ...)
+const HYPHEN_DIR = path.dirname(require.resolve("hyphen/package.json"));
+
+const SOFT_HYPHEN = "\u00AD";
+
+// Characters a word may be broken after without adding a hyphen
+const BREAK_AFTER = new Set(["-", "\u2010", "\u2013", "\u2014", "/"]);
+
+function isHyphenationLanguage(language) {
+  return (
+    /^[a-z]{2,3}(-[a-z0-9]+)*$/.test(language) &&
+    fs.existsSync(path.join(HYPHEN_DIR, language, "index.js"))
+  );
+}
+
+// "en-us, de" -> ["en-us", "de"]; "none" -> []
+function parseLanguages(value) {
+  return String(value)
+    .split(",")
+    .map((language) => language.trim().toLowerCase())
+    .filter((language) => language && language !== "none");
+}
+
+function validateLanguages(value) {
+  const unknown = parseLanguages(value).filter(
+    (language) => !isHyphenationLanguage(language)
+  );
+  return unknown.length > 0
+    ? `no hyphenation patterns for: ${unknown.join(", ")}`
+    : null;
+}
+
+// Hyphenation points from the patterns of the hyphen package. Pattern files
+// are loaded on first use.
+function createHyphenator() {
+  const hyphenators = new Map();
+  const cache = new Map();
+
+  function getHyphenator(language) {
+    if (!hyphenators.has(language)) {
+      hyphenators.set(language, require(`hyphen/${language}`).hyphenateSync);
+    }
+    return hyphenators.get(language);
+  }
+
+  // Offsets in `word` where a hyphen may be inserted, from the first of
+  // `languages` whose patterns find any
+  function getHyphenationPoints(word, languages) {
+    const key = `${languages.join(",")}|${word}`;
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    let points = [];
+    for (const language of languages) {
+      const hyphenated = getHyphenator(language)(word, {
+        hyphenChar: SOFT_HYPHEN,
+      });
+      let offset = 0;
+      const found = [];
+      for (const char of hyphenated) {
+        if (char === SOFT_HYPHEN) {
+          found.push(offset);
+        } else {
+          offset += char.length;
+        }
+      }
+      // Skip results that changed the word itself
+      if (offset === word.length && found.length > 0) {
+        points = found;
+        break;
+      }
+    }
+
+    cache.set(key, points);
+    return points;
+  }
+
+  return { getHyphenationPoints };
+}
+
+// Places a word may be split: after a dash or slash as written, and at the
+// hyphenation points (which add a hyphen). Sorted by offset.
+function getBreakPoints(word, hyphenationPoints = []) {
+  const points = [];
+  for (let i = 1; i < word.length - 1; i++) {
+    if (BREAK_AFTER.has(word[i])) {
+      points.push({ offset: i + 1, hyphen: false });
+    }
+  }
+  for (const offset of hyphenationPoints) {
+    if (!BREAK_AFTER.has(word[offset - 1])) {
+      points.push({ offset, hyphen: true });
+    }
+  }
+  return points.sort((a, b) => a.offset - b.offset);
+}
+
+// Greedy line breaking shared by the font-size search and the renderer.
+// A word that doesn't fit the rest of the line is split at its last break
+// point that fits, or moves to the next line. A word wider than a whole line
+// is split at break points, and as a last resort anywhere, so no line is
+// wider than `maxWidth` unless a single character is.
+//
+// `measurePiece(index, start, end, hyphen)` measures part of words[index]
+// and returns an object with its `width`; lines are returned as
+// { pieces, width, isForcedBreak } where pieces are those objects plus
+// `spaceBefore`. `isForcedBreak` marks lines ending in a split that had no
+// break point.
+function wrapWords(
+  words,
+  { maxWidth, spaceWidth, measurePiece, getWordBreakPoints }
+) {
+  const lines = [];
+  let line = { pieces: [], width: 0, isForcedBreak: false };
+
+  const addPiece = (piece, spaceBefore) => {
+    line.pieces.push({ ...piece, spaceBefore });
+    line.width += (spaceBefore ? spaceWidth : 0) + piece.width;
+  };
+  const endLine = () => {
+    lines.push(line);
+    line = { pieces: [], width: 0, isForcedBreak: false };
+  };
+
+  // Longest part of words[index] from `start` that fits in `room`
+  const splitWord = (index, start, room, breakAnywhere) => {
+    const word = words[index];
+    const points = getWordBreakPoints(word)
+      .filter((point) => point.offset > start)
+      .reverse();
+    for (const { offset, hyphen } of points) {
+      const piece = measurePiece(index, start, offset, hyphen);
+      if (piece.width <= room) {
+        return { piece, end: offset, isForcedBreak: false };
+      }
+    }
+    if (!breakAnywhere) {
+      return null;
+    }
+
+    // As many characters as fit, at least one
+    let end = start + String.fromCodePoint(word.codePointAt(start)).length;
+    let piece = measurePiece(index, start, end, false);
+    while (end < word.length) {
+      const next = end + String.fromCodePoint(word.codePointAt(end)).length;
+      const candidate = measurePiece(index, start, next, false);
+      if (candidate.width > room) break;
+      end = next;
+      piece = candidate;
+    }
+    return { piece, end, isForcedBreak: true };
+  };
+
+  words.forEach((word, index) => {
+    let start = 0;
+    while (start < word.length) {
+      const spaceBefore = line.pieces.length > 0;
+      const room = maxWidth - line.width - (spaceBefore ? spaceWidth : 0);
+
+      const whole = measurePiece(index, start, word.length, false);
+      if (whole.width <= room) {
+        addPiece(whole, spaceBefore);
+        break;
+      }
+
+      const split = splitWord(index, start, room, !spaceBefore);
+      if (split) {
+        addPiece(split.piece, spaceBefore);
+        line.isForcedBreak = split.isForcedBreak;
+        endLine();
+        start = split.end;
+      } else {
+        // Retry on an empty line
+        endLine();
+      }
+    }
+  });
+
+  if (line.pieces.length > 0) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+module.exports = {
+  isHyphenationLanguage,
+  parseLanguages,
+  validateLanguages,
+  createHyphenator,
+  getBreakPoints,
+  wrapWords,
+};
@@ -0,0 +1,354 @@
+const path = require("path");
+const { InvalidOptionsError } = require("./errors");
+const { DEFAULT_FONT_FAMILY } = require("./fonts");
+const { validateLanguages } = require("./linebreak");
+
+// Roles a workbook column can take when a header row is used
+const COLUMN_ROLES = ["text", "title", "image", "style", "skip", "field"];
+
+// Alignments of the text inside its region ("auto" picks top or middle from
+// how much of the region the text fills)
+const HORIZONTAL_ALIGNMENTS = ["left", "center", "right", "justify"];
+const VERTICAL_ALIGNMENTS = ["top", "middle", "bottom", "auto"];
+
+// "Header=role,Other header=role" -> { "header": "role", ... }
+function parseColumnRoles(value) {
+  const roles = {};
+  for (const pair of value.split(",")) {
+    if (!pair.trim()) continue;
+    const separator = pair.lastIndexOf("=");
+    const header = pair.slice(0, separator).trim().toLowerCase();
+    const role = pair
+      .slice(separator + 1)
+      .trim()
+      .toLowerCase();
+    roles[header] = role;
+  }
+  return roles;
+}
+
+function validateColumnRoles(value) {
+  for (const pair of value.split(",")) {
+    if (!pair.trim()) continue;
+    const separator = pair.lastIndexOf("=");
+    if (separator <= 0) {
+      return `columnRoles entry "${pair.trim()}" must look like Header=role`;
+    }
+    const role = pair
+      .slice(separator + 1)
+      .trim()
+      .toLowerCase();
+    if (!COLUMN_ROLES.includes(role)) {
+      return `columnRoles role "${role}" must be one of: ${COLUMN_ROLES.join(
+        ", "
+      )}`;
+    }
+  }
+  return null;
+}
+
+// Schema for the options accepted by run(). Each entry declares its type,
+// default value and the constraints checked by normalizeOptions(). `validate`
+// adds a custom check and `parse` converts the validated value.
+const OPTIONS_SCHEMA = {
+  rootDir: {
+    type: "string",
+    default: () => process.cwd(),
+    description: "Base folder that relative folder options resolve against",
+  },
+  imagesDir: {
+    type: "string",
+    default: "images",
+    description: "Folder with the source images",
+  },
+  textDir: {
+    type: "string",
+    default: "text",
+    description: "Folder with the text sources",
+  },
+  resultDir: {
+    type: "string",
+    default: "result",
+    description: "Folder the rendered images are written to",
+  },
+  fontsDir: {
+    type: "string",
+    default: "fonts",
+    description: "Folder with TTF/OTF fonts registered for rendering",
+  },
+  fontFamily: {
+    type: "string",
+    default: DEFAULT_FONT_FAMILY,
+    description:
+      "Font family of the text, e.g. a family from the fonts folder (rows and folders can override it)",
+  },
+  align: {
+    type: "string",
+    default: "center",
+    enum: HORIZONTAL_ALIGNMENTS,
+    description:
+      "Horizontal alignment of the lines (rows can override it with a style)",
+  },
+  verticalAlign: {
+    type: "string",
+    default: "auto",
+    enum: VERTICAL_ALIGNMENTS,
+    description:
+      "Vertical alignment of the text in its region (rows can override it with a style)",
+  },
+  textFlow: {
+    type: "string",
+    default: "single",
+    enum: ["single", "flow"],
+    description:
+      "Put the text in the best free region only (single), or continue it through the free regions in reading order (flow)",
+  },
+  hyphenation: {
+    type: "string",
+    default: "none",
+    validate: validateLanguages,
+    description:
+      'Languages whose hyphenation patterns split long words, e.g. "en-us,de" ("none" to only split words that do not fit a line)',
+  },
+  outputFormat: {
+    type: "string",
+    default: "jpeg",
+    enum: ["jpeg", "png"],
+    description: "Output image format",
+  },
+  jpegQuality: {
+    type: "integer",
+    default: 90,
+    min: 1,
+    max: 100,
+    description: "JPEG quality (1-100)",
+  },
+  pngCompression: {
+    type: "integer",
+    default: 9,
+    min: 0,
+    max: 9,
+    description: "PNG compression level (0-9)",
+  },
+  debug: {
+    type: "boolean",
+    default: false,
+    description:
+      "Write a debug.png next to each result showing the occupancy grid, the candidate regions with their scores, the chosen regions and the line boxes",
+  },
+  batchSize: {
+    type: "integer",
+    default: 4,
+    min: 1,
+    max: 64,
+    description: "Number of images processed in parallel",
+  },
+  regionDetection: {
+    type: "string",
+    default: "uniform",
+    enum: ["uniform", "whiteness"],
+    description:
+      "What counts as empty: the plain background of any colour around each spot (uniform), or near-white pixels only (whiteness)",
+  },
+  colorTolerance: {
+    type: "integer",
+    default: 24,
+    min: 1,
+    max: 255,
+    description:
+      "Uniform detection: colour difference still counted as the same background",
+  },
+  maxEdgeDensity: {
+    type: "number",
+    default: 0.1,
+    min: 0,
+    max: 1,
+    description:
+      "Uniform detection: share of edge pixels above which a spot counts as occupied",
+  },
+  whitenessThreshold: {
+    type: "integer",
+    default: 200,
+    min: 0,
+    max: 255,
+    description:
+      "Whiteness detection: grayscale value below which a pixel counts as occupied",
+  },
+  minRegionWidth: {
+    type: "integer",
+    default: 100,
+    min: 1,
+    description: "Minimum width (px) of a region that can hold text",
+  },
+  minRegionHeight: {
+    type: "integer",
+    default: 30,
+    min: 1,
+    description: "Minimum height (px) of a region that can hold text",
+  },
+  pairing: {
+    type: "string",
+    default: "cartesian",
+    enum: ["cartesian", "one-to-one", "by-image", "round-robin", "random"],
+    description: "How text rows are paired with images",
+  },
+  sampleSize: {
+    type: "integer",
+    default: 1,
+    min: 1,
+    description: "Text rows drawn per image in random pairing",
+  },
+  seed: {
+    type: "integer",
+    default: null,
+    description: "Seed for random pairing (random when omitted)",
+  },
+  sheets: {
+    type: "string",
+    default: "1",
+    description:
+      'Worksheets to read: comma-separated names or 1-based indexes, "*" for all',
+  },
+  headerRow: {
+    type: "integer",
+    default: 0,
+    min: 0,
+    description:
+      "Row holding column headers that map columns to roles (0: no header)",
+  },
+  columnRoles: {
+    type: "string",
+    default: null,
+    validate: validateColumnRoles,
+    parse: parseColumnRoles,
+    description: `Header to role mapping, e.g. "Nội dung=text,File=image" (roles: ${COLUMN_ROLES.join(
+      ", "
+    )})`,
+  },
+  cellJoin: {
+    type: "string",
+    default: "space",
+    enum: ["space", "line", "paragraph"],
+    description:
+      "How the cells of a row are joined: on one line, one line per cell, or one paragraph per cell",
+  },
+  locale: {
+    type: "string",
+    default: "vi-VN",
+    description:
+      "Locale of the number, currency and date formatters in {{placeholders}}",
+  },
+  docxSplit: {
+    type: "string",
+    default: "paragraph",
+    enum: ["paragraph", "section"],
+    description:
+      "Word documents: one text per paragraph, or per section (split at page breaks and headings)",
+  },
+};
+
+// Folder options resolved against rootDir
+const DIRECTORY_OPTIONS = ["imagesDir", "textDir", "resultDir", "fontsDir"];
+
+function getDefaultOptions() {
+  const defaults = {};
+  for (const [name, rule] of Object.entries(OPTIONS_SCHEMA)) {
+    defaults[name] =
+      typeof rule.default === "function" ? rule.default() : rule.default;
+  }
+  return defaults;
+}
+
+// Check a single value against its schema rule, returning an error message
+function validateOption(name, value, rule) {
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string" || value.trim() === "") {
+        return `${name} must be a non-empty string`;
+      }
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) {
+        return `${name} must be an integer`;
+      }
+      break;
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        return `${name} must be a number`;
+      }
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return `${name} must be a boolean`;
+      }
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `${name} must be >= ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `${name} must be <= ${rule.max}`;
+  }
+  if (rule.validate) {
+    return rule.validate(value);
+  }
+
+  return null;
+}
+
+// Merge user options over the defaults, validate them and resolve folders
+function normalizeOptions(options = {}) {
+  if (options === null || typeof options !== "object") {
+    throw new InvalidOptionsError("Options must be an object");
+  }
+
+  const unknown = Object.keys(options).filter(
+    (name) => !(name in OPTIONS_SCHEMA)
+  );
+  if (unknown.length > 0) {
+    throw new InvalidOptionsError(`Unknown option(s): ${unknown.join(", ")}`, {
+      unknown,
+    });
+  }
+
+  const resolved = getDefaultOptions();
+  const errors = [];
+
+  for (const [name, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+
+    const message = validateOption(name, value, OPTIONS_SCHEMA[name]);
+    if (message) {
+      errors.push(message);
+    } else {
+      const rule = OPTIONS_SCHEMA[name];
+      resolved[name] = rule.parse ? rule.parse(value) : value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new InvalidOptionsError(`Invalid options: ${errors.join("; ")}`, {
+      errors,
+    });
+  }
+
+  resolved.rootDir = path.resolve(resolved.rootDir);
+  for (const name of DIRECTORY_OPTIONS) {
+    resolved[name] = path.resolve(resolved.rootDir, resolved[name]);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  OPTIONS_SCHEMA,
+  COLUMN_ROLES,
+  HORIZONTAL_ALIGNMENTS,
+  VERTICAL_ALIGNMENTS,
+  getDefaultOptions,
+  normalizeOptions,
+};
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const {
+  CELL_SEPARATORS,
+  plainContent,
+  getColumnRole,
+  buildJoinedRecord,
+  buildMappedRecord,
+  finalizeRecord,
+} = require("./records");
+
+// Parse CSV/TSV text (RFC 4180: quoted fields, doubled quotes, line breaks
+// inside quotes) into rows of strings
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Normalise line breaks kept inside quoted fields
+  return rows.map((cells) => cells.map((cell) => cell.replace(/\r\n?/g, "\n")));
+}
+
+// Spreadsheets in some locales export "CSV" separated by semicolons
+function detectDelimiter(text, delimiter) {
+  if (delimiter !== ",") return delimiter;
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+  const commas = (firstLine.match(/,/g) || []).length;
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  return semicolons > commas ? ";" : ",";
+}
+
+// Read a CSV/TSV file into text records. With options.headerRow the header
+// maps columns to roles like it does for Excel sheets.
+async function readDelimitedFile(filePath, delimiter, options = {}) {
+  const text = (await fs.promises.readFile(filePath, "utf8")).replace(
+    /^\uFEFF/,
+    ""
+  );
+  const rows = parseDelimited(text, detectDelimiter(text, delimiter));
+  const headerRow = options.headerRow || 0;
+
+  const headers =
+    headerRow > 0 && rows[headerRow - 1]
+      ? rows[headerRow - 1].map((header) => header.trim())
+      : null;
+
+  const separator = CELL_SEPARATORS[options.cellJoin || "space"];
+  const records = [];
+  rows.forEach((cells, index) => {
+    if (index < headerRow) return;
+
+    const record = headers
+      ? buildMappedRecord(
+          cells
+            .map((value, column) => ({
+              header: headers[column],
+              content: plainContent(value),
+            }))
+            .filter((cell) => cell.header)
+            .map((cell) => ({
+              ...cell,
+              role: getColumnRole(cell.header, options.columnRoles),
+            })),
+          separator
+        )
+      : buildJoinedRecord(
+          cells.map((value) => plainContent(value)),
+          separator
+        );
+
+    const finalized = finalizeRecord(record, {
+      file: filePath,
+      row: index + 1,
+    });
+    if (finalized) {
+      records.push(finalized);
+    }
+  });
+
+  return records;
+}
+
+module.exports = { parseDelimited, readDelimitedFile };
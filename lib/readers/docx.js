@@ -0,0 +1,346 @@
+const fs = require("fs");
+const JSZip = require("jszip");
+const {
+  emptyContent,
+  appendContent,
+  addStyleRun,
+  withTitle,
+  finalizeRecord,
+} = require("./records");
+
+// XML tags and text between them. Word documents carry no comments, CDATA
+// or processing instructions inside the body, so a tag scanner is enough.
+const XML_TOKEN =
+  /<(\/?)([\w:]+)((?:\s+[\w:]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const XML_ATTRIBUTE = /([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeXml(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      return String.fromCodePoint(
+        name[1].toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10)
+      );
+    }
+    const named = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+    return named[name] || entity;
+  });
+}
+
+function* tokenize(xml) {
+  for (const match of xml.matchAll(XML_TOKEN)) {
+    if (match[5] !== undefined) {
+      yield { type: "text", text: decodeXml(match[5]) };
+      continue;
+    }
+
+    const attributes = {};
+    for (const attr of match[3].matchAll(XML_ATTRIBUTE)) {
+      attributes[attr[1]] = decodeXml(
+        attr[2] !== undefined ? attr[2] : attr[3]
+      );
+    }
+    yield {
+      type: match[1] ? "close" : "open",
+      name: match[2],
+      attributes,
+      selfClosing: Boolean(match[4]),
+    };
+  }
+}
+
+// <w:b/> is on, <w:b w:val="0"/> / "false" / "none" turns it off
+function isOn(attributes) {
+  const value = attributes["w:val"];
+  return value === undefined || !/^(0|false|off|none)$/i.test(value);
+}
+
+// Style ids of headings and titles. Ids are localised by Word, the style
+// names ("heading 1", "Title") are not.
+function readHeadingStyles(stylesXml) {
+  const headings = new Set();
+  let styleId = null;
+
+  for (const token of tokenize(stylesXml || "")) {
+    if (token.type === "open" && token.name === "w:style") {
+      styleId = token.attributes["w:styleId"];
+    } else if (token.type === "open" && token.name === "w:name" && styleId) {
+      if (/^(heading \d|title)$/i.test(token.attributes["w:val"] || "")) {
+        headings.add(styleId);
+      }
+    }
+  }
+
+  return headings;
+}
+
+// Walk word/document.xml and return its paragraphs as
+// { content, heading, pageBreakBefore, sectionBreakAfter }
+function readParagraphs(documentXml, headingStyles) {
+  const paragraphs = [];
+  let paragraph = null;
+  let run = null;
+  let inRunProperties = false;
+  let inText = false;
+  let pendingPageBreak = false;
+  // Paragraphs (and their run state) a text box paragraph is nested in
+  const outer = [];
+  // One entry per open mc:AlternateContent: whether its mc:Choice was read
+  const alternates = [];
+  // Depth inside an mc:Fallback being skipped
+  let skipDepth = 0;
+
+  const addText = (text) => {
+    const start = paragraph.content.text.length;
+    paragraph.content.text += text;
+    if (run) {
+      addStyleRun(paragraph.content, start, text.length, run);
+    }
+  };
+
+  for (const token of tokenize(documentXml)) {
+    // The fallback of alternate content repeats its mc:Choice
+    if (skipDepth > 0) {
+      if (token.type === "open" && !token.selfClosing) skipDepth++;
+      if (token.type === "close") skipDepth--;
+      continue;
+    }
+
+    if (token.type === "text") {
+      if (inText && paragraph) addText(token.text);
+      continue;
+    }
+
+    const { name, attributes } = token;
+
+    if (token.type === "close") {
+      switch (name) {
+        case "w:p":
+          if (paragraph) paragraphs.push(paragraph);
+          // Back to the paragraph a text box was in
+          ({ paragraph, run, inRunProperties, inText } = outer.pop() || {
+            paragraph: null,
+            run: null,
+            inRunProperties: false,
+            inText: false,
+          });
+          break;
+        case "mc:AlternateContent":
+          alternates.pop();
+          break;
+        case "w:r":
+          run = null;
+          break;
+        case "w:rPr":
+          inRunProperties = false;
+          break;
+        case "w:t":
+          inText = false;
+          break;
+      }
+      continue;
+    }
+
+    if (name === "mc:AlternateContent" && !token.selfClosing) {
+      alternates.push(false);
+      continue;
+    }
+    if (name === "mc:Choice" && alternates.length > 0) {
+      alternates[alternates.length - 1] = true;
+      continue;
+    }
+    if (
+      name === "mc:Fallback" &&
+      alternates[alternates.length - 1] &&
+      !token.selfClosing
+    ) {
+      skipDepth = 1;
+      continue;
+    }
+
+    if (name === "w:p") {
+      const next = {
+        content: emptyContent(),
+        heading: false,
+        pageBreakBefore: pendingPageBreak,
+        sectionBreakAfter: false,
+      };
+      pendingPageBreak = false;
+      if (token.selfClosing) {
+        paragraphs.push(next);
+        continue;
+      }
+
+      // A paragraph of a text box (w:txbxContent) inside a run
+      if (paragraph) {
+        outer.push({ paragraph, run, inRunProperties, inText });
+        run = null;
+        inRunProperties = false;
+        inText = false;
+      }
+      paragraph = next;
+      continue;
+    }
+    if (!paragraph) continue;
+
+    switch (name) {
+      case "w:pStyle":
+        paragraph.heading = headingStyles.has(attributes["w:val"]);
+        break;
+      case "w:outlineLvl":
+        paragraph.heading = Number(attributes["w:val"]) < 9;
+        break;
+      case "w:pageBreakBefore":
+        paragraph.pageBreakBefore = isOn(attributes);
+        break;
+      case "w:sectPr":
+        paragraph.sectionBreakAfter = true;
+        break;
+      case "w:r":
+        run = {};
+        break;
+      case "w:rPr":
+        // Paragraph mark properties (w:pPr/w:rPr) don't apply to any text
+        inRunProperties = Boolean(run);
+        break;
+      case "w:b":
+        if (inRunProperties) run.bold = isOn(attributes);
+        break;
+      case "w:i":
+        if (inRunProperties) run.italic = isOn(attributes);
+        break;
+      case "w:u":
+        if (inRunProperties) run.underline = isOn(attributes);
+        break;
+      case "w:strike":
+      case "w:dstrike":
+        if (inRunProperties) run.strike = isOn(attributes);
+        break;
+      case "w:sz":
+        // Half-points
+        if (inRunProperties && Number(attributes["w:val"]) > 0) {
+          run.size = Number(attributes["w:val"]) / 2;
+        }
+        break;
+      case "w:rFonts": {
+        const font = attributes["w:ascii"] || attributes["w:hAnsi"];
+        if (inRunProperties && font) run.font = font;
+        break;
+      }
+      case "w:color": {
+        const color = attributes["w:val"];
+        if (inRunProperties && color && /^[\da-f]{6}$/i.test(color)) {
+          run.color = `#${color.toUpperCase()}`;
+        }
+        break;
+      }
+      case "w:t":
+        inText = !token.selfClosing;
+        break;
+      case "w:tab":
+        if (run) addText(" ");
+        break;
+      case "w:br":
+      case "w:cr":
+        if (attributes["w:type"] === "page") {
+          // Text after a page break belongs to the next section
+          paragraphs.push(paragraph);
+          paragraph = {
+            ...paragraph,
+            content: emptyContent(),
+            heading: false,
+            pageBreakBefore: true,
+          };
+        } else if (attributes["w:type"] !== "column") {
+          addText("\n");
+        }
+        break;
+    }
+  }
+
+  return paragraphs;
+}
+
+// Group paragraphs into sections that start at a page break, after a
+// section break or at a heading. The heading becomes the section's title.
+function groupSections(paragraphs) {
+  const sections = [];
+  let section = null;
+
+  for (const paragraph of paragraphs) {
+    if (!section || paragraph.pageBreakBefore || paragraph.heading) {
+      section = { index: sections.length + 1, title: null, paragraphs: [] };
+      sections.push(section);
+    }
+
+    if (paragraph.heading && !section.title) {
+      section.title = paragraph.content;
+    } else {
+      section.paragraphs.push(paragraph);
+    }
+
+    if (paragraph.sectionBreakAfter) {
+      section = null;
+    }
+  }
+
+  return sections;
+}
+
+// Read a Word document into text records: one per paragraph, or one per
+// section with options.docxSplit = "section". Bold, italic, underline,
+// strikethrough, colour, size and font of the runs are kept.
+async function readDocxFile(filePath, options = {}) {
+  const zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+  const documentFile = zip.file("word/document.xml");
+  if (!documentFile) {
+    throw new Error("Not a Word document (word/document.xml is missing)");
+  }
+
+  const stylesFile = zip.file("word/styles.xml");
+  const headingStyles = readHeadingStyles(
+    stylesFile ? await stylesFile.async("string") : ""
+  );
+  const paragraphs = readParagraphs(
+    await documentFile.async("string"),
+    headingStyles
+  );
+
+  const records = [];
+
+  if (options.docxSplit === "section") {
+    for (const section of groupSections(paragraphs)) {
+      const body = emptyContent();
+      for (const paragraph of section.paragraphs) {
+        if (paragraph.content.text.trim()) {
+          appendContent(body, paragraph.content, "\n\n");
+        }
+      }
+
+      const title =
+        section.title && section.title.text.trim() ? section.title : null;
+      const record = finalizeRecord(withTitle(body, title), {
+        file: filePath,
+        section: section.index,
+      });
+      if (record) {
+        records.push(record);
+      }
+    }
+  } else {
+    paragraphs.forEach((paragraph, index) => {
+      const record = finalizeRecord(paragraph.content, {
+        file: filePath,
+        paragraph: index + 1,
+      });
+      if (record) {
+        records.push(record);
+      }
+    });
+  }
+
+  return records;
+}
+
+module.exports = { readDocxFile };
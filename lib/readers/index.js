@@ -0,0 +1,21 @@
+const { readDelimitedFile } = require("./delimited");
+const { readDocxFile } = require("./docx");
+const { readJsonFile } = require("./json");
+const { readMarkdownFile } = require("./markdown");
+
+// Readers for the non-Excel text sources, keyed by file extension. Each one
+// takes a file path and resolves to a list of records (see records.js), or
+// to null when the file turns out not to be a text source.
+// Supporting a new format means adding an entry here.
+function createTextReaders(options = {}) {
+  return {
+    ".csv": (filePath) => readDelimitedFile(filePath, ",", options),
+    ".tsv": (filePath) => readDelimitedFile(filePath, "\t", options),
+    ".json": (filePath) => readJsonFile(filePath),
+    ".docx": (filePath) => readDocxFile(filePath, options),
+    ".md": (filePath) => readMarkdownFile(filePath),
+    ".markdown": (filePath) => readMarkdownFile(filePath),
+  };
+}
+
+module.exports = { createTextReaders };
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const {
+  STYLE_SEGMENTS,
+  emptyContent,
+  plainContent,
+  parseStyle,
+  withTitle,
+  finalizeRecord,
+} = require("./records");
+
+const SEGMENT_KEYS = Object.values(STYLE_SEGMENTS).map(({ key }) => key);
+
+// Keys of a JSON item that have a meaning; everything else becomes a field
+const RECORD_KEYS = ["text", "title", "image", "style", "fields"].concat(
+  SEGMENT_KEYS
+);
+
+// Check a segment list; `value` is the property a non-boolean style needs
+function validateSegments(segments, name, text, value) {
+  if (segments === undefined) return [];
+  if (!Array.isArray(segments)) {
+    throw new Error(`${name} must be an array`);
+  }
+
+  return segments.map((seg, i) => {
+    if (
+      !seg ||
+      !Number.isInteger(seg.start) ||
+      !Number.isInteger(seg.length) ||
+      seg.start < 0 ||
+      seg.length < 0 ||
+      seg.start + seg.length > text.length
+    ) {
+      throw new Error(
+        `${name}[${i}] must have integer start/length inside the text`
+      );
+    }
+
+    if (!value) {
+      return { start: seg.start, length: seg.length };
+    }
+    const expected = value === "size" ? "number" : "string";
+    if (typeof seg[value] !== expected) {
+      throw new Error(`${name}[${i}] must have a ${value} ${expected}`);
+    }
+    return { start: seg.start, length: seg.length, [value]: seg[value] };
+  });
+}
+
+// One JSON item (string or object) -> record
+function readItem(item) {
+  if (typeof item === "string") {
+    return plainContent(item);
+  }
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    throw new Error("must be a string or an object");
+  }
+  if (item.text !== undefined && typeof item.text !== "string") {
+    throw new Error("text must be a string");
+  }
+
+  const text = item.text || "";
+  const body = emptyContent();
+  body.text = text;
+  for (const { key, value } of Object.values(STYLE_SEGMENTS)) {
+    if (item[key] !== undefined) {
+      body[key] = validateSegments(item[key], key, text, value);
+    }
+  }
+
+  const fields = { ...(item.fields || {}) };
+  for (const [key, value] of Object.entries(item)) {
+    if (!RECORD_KEYS.includes(key)) {
+      fields[key] = value;
+    }
+  }
+
+  return withTitle(body, item.title ? plainContent(item.title) : null, {
+    image: item.image ? String(item.image) : null,
+    style:
+      typeof item.style === "string"
+        ? parseStyle(item.style)
+        : { ...(item.style || {}) },
+    fields,
+  });
+}
+
+// Read a JSON text source: an array of strings/objects, or { rows: [...] }.
+// Any other JSON (settings, notes) is not a text source and resolves to null.
+async function readJsonFile(filePath) {
+  const raw = (await fs.promises.readFile(filePath, "utf8")).replace(
+    /^\uFEFF/,
+    ""
+  );
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON (${error.message})`);
+  }
+
+  const items = Array.isArray(data) ? data : data && data.rows;
+  if (!Array.isArray(items)) {
+    return null;
+  }
+
+  const records = [];
+  items.forEach((item, index) => {
+    let record;
+    try {
+      record = readItem(item);
+    } catch (error) {
+      throw new Error(`Item ${index + 1}: ${error.message}`);
+    }
+
+    const finalized = finalizeRecord(record || emptyContent(), {
+      file: filePath,
+      row: index + 1,
+    });
+    if (finalized) {
+      records.push(finalized);
+    }
+  });
+
+  return records;
+}
+
+module.exports = { readJsonFile };
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const {
+  emptyContent,
+  appendContent,
+  addStyleRun,
+  withTitle,
+  finalizeRecord,
+} = require("./records");
+
+// Lines that separate records ("---", "***", "___")
+const RECORD_SEPARATOR = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const HEADING = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+
+// Find the closing `marker` after `from`, or -1
+function findClosing(line, marker, from) {
+  for (let i = from; i < line.length; i++) {
+    if (line[i] === "\\") {
+      i++;
+    } else if (line.startsWith(marker, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Inline markers and the style they toggle. An opening marker only counts
+// when its closing marker follows on the same line.
+const INLINE_MARKERS = [
+  { open: "**", close: "**", style: "bold" },
+  { open: "__", close: "__", style: "bold" },
+  { open: "~~", close: "~~", style: "strike" },
+  { open: "<u>", close: "</u>", style: "underline" },
+  { open: "*", close: "*", style: "italic" },
+];
+
+// Inline Markdown -> content. Supports **bold** / __bold__, *italic*,
+// ~~strike~~, <u>underline</u>, {color:#hex}text{/color} and backslash
+// escapes.
+function parseInline(line) {
+  const content = emptyContent();
+  const colors = [];
+  const open = {};
+  let text = "";
+
+  const flush = () => {
+    if (!text) return;
+    addStyleRun(content, content.text.length, text.length, {
+      ...open,
+      color: colors[colors.length - 1],
+    });
+    content.text += text;
+    text = "";
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const rest = line.slice(i);
+    const color = rest.match(/^\{color:\s*([^}]+)\}/i);
+    const marker = INLINE_MARKERS.find((candidate) =>
+      open[candidate.style] === candidate
+        ? rest.startsWith(candidate.close)
+        : !open[candidate.style] &&
+          rest.startsWith(candidate.open) &&
+          findClosing(line, candidate.close, i + candidate.open.length) !== -1
+    );
+
+    if (line[i] === "\\" && i + 1 < line.length) {
+      text += line[++i];
+    } else if (color) {
+      flush();
+      colors.push(color[1].trim());
+      i += color[0].length - 1;
+    } else if (/^\{\/color\}/i.test(rest) && colors.length > 0) {
+      flush();
+      colors.pop();
+      i += "{/color}".length - 1;
+    } else if (marker) {
+      flush();
+      if (open[marker.style]) {
+        open[marker.style] = null;
+        i += marker.close.length - 1;
+      } else {
+        open[marker.style] = marker;
+        i += marker.open.length - 1;
+      }
+    } else {
+      text += line[i];
+    }
+  }
+  flush();
+
+  return content;
+}
+
+// One record: an optional leading heading becomes the title, paragraphs are
+// separated by blank lines and lines inside a paragraph by spaces, unless a
+// line ends with a hard break (two spaces or a backslash)
+function parseRecord(lines) {
+  const body = emptyContent();
+  let title = null;
+  let paragraph = null;
+  let hardBreak = false;
+
+  for (const line of lines) {
+    const heading = line.match(HEADING);
+    if (heading && !title && !body.text && !paragraph) {
+      title = parseInline(heading[1]);
+    } else if (!line.trim()) {
+      if (paragraph) appendContent(body, paragraph, "\n\n");
+      paragraph = null;
+    } else {
+      const content = parseInline(line.trim().replace(/\\$/, ""));
+      paragraph = paragraph
+        ? appendContent(paragraph, content, hardBreak ? "\n" : " ")
+        : content;
+      hardBreak = /( {2}|\\)$/.test(line);
+    }
+  }
+  if (paragraph) appendContent(body, paragraph, "\n\n");
+
+  return withTitle(body, title && title.text ? title : null);
+}
+
+// Read a Markdown text source. Records are separated by "---" lines; without
+// separators every blank-line separated block is a record.
+async function readMarkdownFile(filePath) {
+  const lines = (await fs.promises.readFile(filePath, "utf8"))
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/);
+
+  const blocks = [];
+  let block = { start: 1, lines: [] };
+  const hasSeparators = lines.some((line) => RECORD_SEPARATOR.test(line));
+
+  lines.forEach((line, index) => {
+    const isBreak = hasSeparators ? RECORD_SEPARATOR.test(line) : !line.trim();
+    if (isBreak) {
+      blocks.push(block);
+      block = { start: index + 2, lines: [] };
+    } else {
+      if (block.lines.length === 0 && !line.trim()) block.start = index + 2;
+      else block.lines.push(line);
+    }
+  });
+  blocks.push(block);
+
+  const records = [];
+  for (const { start, lines: blockLines } of blocks) {
+    const record = finalizeRecord(parseRecord(blockLines), {
+      file: filePath,
+      row: start,
+    });
+    if (record) {
+      records.push(record);
+    }
+  }
+
+  return records;
+}
+
+module.exports = { parseInline, readMarkdownFile };
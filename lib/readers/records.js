@@ -0,0 +1,298 @@
+// Helpers shared by the text-source readers. Every reader produces records
+// shaped like { text, colorSegments, boldSegments, ... } where segments are
+// { start, length } ranges into `text` (colour segments also carry `color`).
+
+// Style attributes and the segment list carrying each of them. Lists other
+// than colorSegments/boldSegments only exist when a reader found that style;
+// `value` names the property holding a non-boolean attribute.
+const STYLE_SEGMENTS = {
+  color: { key: "colorSegments", value: "color" },
+  bold: { key: "boldSegments" },
+  italic: { key: "italicSegments" },
+  underline: { key: "underlineSegments" },
+  strike: { key: "strikeSegments" },
+  size: { key: "sizeSegments", value: "size" },
+  font: { key: "fontSegments", value: "font" },
+};
+
+function emptyContent() {
+  return { text: "", colorSegments: [], boldSegments: [] };
+}
+
+// Plain string -> content without formatting
+function plainContent(text) {
+  return { text: String(text), colorSegments: [], boldSegments: [] };
+}
+
+// Segment lists of a content ("colorSegments", "boldSegments", and the
+// extra ones some readers add, e.g. "italicSegments")
+function segmentKeys(content) {
+  return Object.keys(content).filter(
+    (key) => key.endsWith("Segments") && Array.isArray(content[key])
+  );
+}
+
+// Append `content` to `target`, shifting its segments past the separator
+function appendContent(target, content, separator = " ") {
+  if (target.text) {
+    target.text += separator;
+  }
+
+  const offset = target.text.length;
+  for (const key of segmentKeys(content)) {
+    target[key] = target[key] || [];
+    for (const seg of content[key]) {
+      target[key].push({ ...seg, start: seg.start + offset });
+    }
+  }
+  target.text += content.text;
+
+  return target;
+}
+
+// Record a run of `length` characters at `start` with the attributes of
+// `style` ({ color, bold, italic, underline, strike, size, font })
+function addStyleRun(content, start, length, style) {
+  if (length <= 0) return content;
+
+  for (const [name, { key, value }] of Object.entries(STYLE_SEGMENTS)) {
+    if (!style[name]) continue;
+    content[key] = content[key] || [];
+    content[key].push(
+      value ? { start, length, [value]: style[name] } : { start, length }
+    );
+  }
+
+  return content;
+}
+
+// Style of the character at `position`; later segments win over earlier ones
+function getStyleAt(content, position) {
+  const style = {
+    color: null,
+    bold: false,
+    italic: false,
+    underline: false,
+    strike: false,
+    size: null,
+    font: null,
+  };
+
+  for (const [name, { key, value }] of Object.entries(STYLE_SEGMENTS)) {
+    for (const seg of content[key] || []) {
+      if (position >= seg.start && position < seg.start + seg.length) {
+        style[name] = value ? seg[value] : true;
+      }
+    }
+  }
+
+  return style;
+}
+
+// Per-folder defaults for the style of every row below the folder, with the
+// keys of a style column ({ "font": "Roboto" })
+const FOLDER_STYLE_FILE = "style.json";
+
+// "align: left; color: #ff0000" -> { align: "left", color: "#ff0000" }
+function parseStyle(value) {
+  const style = {};
+  for (const declaration of value.split(";")) {
+    const separator = declaration.indexOf(":");
+    if (separator <= 0) continue;
+    const key = declaration.slice(0, separator).trim();
+    const styleValue = declaration.slice(separator + 1).trim();
+    if (key && styleValue) {
+      style[key] = styleValue;
+    }
+  }
+  return style;
+}
+
+// Header aliases recognised for each column role (lowercase)
+const COLUMN_ROLE_ALIASES = {
+  text: ["text", "body", "content", "nội dung", "noi dung"],
+  title: ["title", "heading", "tiêu đề", "tieu de"],
+  image: ["image", "target", "target image", "ảnh", "anh", "file"],
+  style: ["style", "kiểu", "kieu"],
+  skip: ["skip", "ignore", "bỏ qua", "bo qua"],
+};
+
+// Role of a column from its header. Explicit columnRoles entries win over the
+// aliases; other columns are kept as plain "field" values.
+function getColumnRole(header, columnRoles) {
+  const key = header.trim().toLowerCase();
+  if (columnRoles && columnRoles[key]) {
+    return columnRoles[key];
+  }
+
+  for (const [role, aliases] of Object.entries(COLUMN_ROLE_ALIASES)) {
+    if (aliases.includes(key)) {
+      return role;
+    }
+  }
+
+  return "field";
+}
+
+// Text placed between cells for each cellJoin option. Line breaks inside a
+// cell are kept either way.
+const CELL_SEPARATORS = {
+  space: " ",
+  line: "\n",
+  paragraph: "\n\n",
+};
+
+// Without a header every non-empty cell is joined with `separator`
+function buildJoinedRecord(contents, separator = " ") {
+  const content = emptyContent();
+  for (const cellContent of contents) {
+    if (cellContent.text.trim()) {
+      appendContent(content, cellContent, separator);
+    }
+  }
+  return content;
+}
+
+// With a header cells are routed by the role of their column.
+// `cells` is a list of { header, role, content, value }; text cells are
+// joined with `separator`. Fields keep `value` (a number or date cell) when
+// given, the cell text otherwise.
+function buildMappedRecord(cells, separator = " ") {
+  const body = emptyContent();
+  const title = emptyContent();
+  const fields = {};
+  let image = null;
+  let style = {};
+  let skip = false;
+
+  for (const { header, role, content, value: rawValue } of cells) {
+    const value = content.text.trim();
+    fields[header] = rawValue !== undefined ? rawValue : content.text;
+
+    switch (role) {
+      case "text":
+        if (value) appendContent(body, content, separator);
+        break;
+      case "title":
+        if (value) appendContent(title, content);
+        break;
+      case "image":
+        image = value || null;
+        break;
+      case "style":
+        style = { ...style, ...parseStyle(value) };
+        break;
+      case "skip":
+        // Any value other than empty/0/no/false marks the row as skipped
+        skip = value !== "" && !/^(0|no|false|không)$/i.test(value);
+        break;
+    }
+  }
+
+  if (skip) return null;
+
+  return withTitle(body, title.text ? title : null, {
+    image,
+    style,
+    fields,
+  });
+}
+
+// The title is rendered as a bold first paragraph above the body text
+function withTitle(body, title, extra = {}) {
+  const content = emptyContent();
+  if (title) {
+    appendContent(content, title);
+    content.boldSegments.push({ start: 0, length: title.text.length });
+  }
+  appendContent(content, body, "\n\n");
+
+  return {
+    ...content,
+    title: title ? title.text : null,
+    ...extra,
+  };
+}
+
+// Paragraph model of a text: paragraphs are separated by blank lines, single
+// line breaks (Alt+Enter in a cell) are forced breaks inside a paragraph.
+// Every line keeps the offset of its first character in `text` so segments
+// apply without searching for the line.
+function splitParagraphs(text) {
+  const paragraphs = [];
+  const lineBreak = /\r\n|\r|\n/g;
+  let lines = [];
+  let start = 0;
+
+  const addLine = (end) => {
+    const line = text.slice(start, end);
+    if (line.trim()) {
+      lines.push({ text: line, start });
+    } else if (lines.length > 0) {
+      paragraphs.push({ lines });
+      lines = [];
+    }
+  };
+
+  let match;
+  while ((match = lineBreak.exec(text))) {
+    addLine(match.index);
+    start = match.index + match[0].length;
+  }
+  addLine(text.length);
+
+  if (lines.length > 0) {
+    paragraphs.push({ lines });
+  }
+
+  return paragraphs;
+}
+
+// Characters `start` to `end` of a content, segments clipped and shifted
+// with the text. Other properties of the content are kept.
+function sliceContent(content, start, end = content.text.length) {
+  const text = content.text.slice(start, end);
+  const sliced = { ...content, text };
+  for (const key of segmentKeys(content)) {
+    sliced[key] = content[key]
+      .map((seg) => {
+        const segStart = Math.max(seg.start - start, 0);
+        const segEnd = Math.min(seg.start + seg.length - start, text.length);
+        return { ...seg, start: segStart, length: segEnd - segStart };
+      })
+      .filter((seg) => seg.length > 0);
+  }
+  return sliced;
+}
+
+// Final clean-up shared by all readers; returns null for empty records
+function finalizeRecord(record, source) {
+  if (!record || !record.text.trim()) {
+    return null;
+  }
+
+  // Trimming leading whitespace shifts the segments with the text
+  const offset = record.text.length - record.text.trimStart().length;
+  const end = record.text.trimEnd().length;
+  return { ...sliceContent(record, offset, end), source };
+}
+
+module.exports = {
+  STYLE_SEGMENTS,
+  COLUMN_ROLE_ALIASES,
+  CELL_SEPARATORS,
+  FOLDER_STYLE_FILE,
+  emptyContent,
+  plainContent,
+  appendContent,
+  addStyleRun,
+  getStyleAt,
+  parseStyle,
+  getColumnRole,
+  buildJoinedRecord,
+  buildMappedRecord,
+  withTitle,
+  splitParagraphs,
+  sliceContent,
+  finalizeRecord,
+};
@@ -0,0 +1,542 @@
+const fs = require("fs");
+const CFB = require("cfb");
+const ExcelJS = require("exceljs");
+
+// Reader for legacy binary .xls workbooks (BIFF8, Excel 97-2003). The file
+// is converted into an ExcelJS workbook with the same cell values, rich text
+// runs and fonts, so it goes through the same row reading as .xlsx files.
+
+// BIFF8 record types used by the reader
+const RECORD = {
+  BOF: 0x0809,
+  EOF: 0x000a,
+  FILEPASS: 0x002f,
+  CONTINUE: 0x003c,
+  FONT: 0x0031,
+  FORMAT: 0x041e,
+  XF: 0x00e0,
+  PALETTE: 0x0092,
+  BOUNDSHEET: 0x0085,
+  SST: 0x00fc,
+  LABELSST: 0x00fd,
+  LABEL: 0x0204,
+  RSTRING: 0x00d6,
+  NUMBER: 0x0203,
+  RK: 0x027e,
+  MULRK: 0x00bd,
+  FORMULA: 0x0006,
+  STRING: 0x0207,
+  BOOLERR: 0x0205,
+  DATEMODE: 0x0022,
+  SHRFMLA: 0x04bc,
+  ARRAY: 0x0221,
+  TABLE: 0x0236,
+};
+
+// Excel 97 default colour palette (indexes 8-63)
+const DEFAULT_PALETTE = [
+  "000000", "FFFFFF", "FF0000", "00FF00", "0000FF", "FFFF00", "FF00FF", "00FFFF",
+  "800000", "008000", "000080", "808000", "800080", "008080", "C0C0C0", "808080",
+  "9999FF", "993366", "FFFFCC", "CCFFFF", "660066", "FF8080", "0066CC", "CCCCFF",
+  "000080", "FF00FF", "FFFF00", "00FFFF", "800080", "800000", "008080", "0000FF",
+  "00CCFF", "CCFFFF", "CCFFCC", "FFFF99", "99CCFF", "FF99CC", "CC99FF", "FFCC99",
+  "3366FF", "33CCCC", "99CC00", "FFCC00", "FF9900", "FF6600", "666699", "969696",
+  "003366", "339966", "003300", "333300", "993300", "993366", "333399", "333333",
+];
+
+// Built-in number formats that display dates
+const DATE_FORMAT_IDS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47,
+]);
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Errors thrown here describe what is wrong with the file; the caller wraps
+// them in a WorkbookReadError that names the file.
+class XlsFormatError extends Error {}
+
+// Split a BIFF stream into records, merging CONTINUE records into the record
+// they continue (kept as separate chunks for the SST string parser)
+function readRecords(stream, start = 0) {
+  const records = [];
+  let offset = start;
+
+  while (offset + 4 <= stream.length) {
+    const type = stream.readUInt16LE(offset);
+    const size = stream.readUInt16LE(offset + 2);
+    const data = stream.subarray(offset + 4, offset + 4 + size);
+    offset += 4 + size;
+
+    if (type === RECORD.CONTINUE && records.length > 0) {
+      records[records.length - 1].chunks.push(data);
+      continue;
+    }
+
+    records.push({ type, data, chunks: [data] });
+    if (type === RECORD.EOF) break;
+  }
+
+  return records;
+}
+
+// Sequential reader over a record and its CONTINUE chunks
+function createChunkReader(chunks) {
+  let chunkIndex = 0;
+  let offset = 0;
+
+  function current() {
+    while (chunkIndex < chunks.length && offset >= chunks[chunkIndex].length) {
+      chunkIndex++;
+      offset = 0;
+    }
+    if (chunkIndex >= chunks.length) {
+      throw new XlsFormatError("Shared string table is truncated");
+    }
+    return chunks[chunkIndex];
+  }
+
+  function readBytes(count) {
+    const parts = [];
+    let remaining = count;
+    while (remaining > 0) {
+      const chunk = current();
+      const take = Math.min(remaining, chunk.length - offset);
+      parts.push(chunk.subarray(offset, offset + take));
+      offset += take;
+      remaining -= take;
+    }
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts);
+  }
+
+  return {
+    uint8: () => readBytes(1).readUInt8(0),
+    uint16: () => readBytes(2).readUInt16LE(0),
+    uint32: () => readBytes(4).readUInt32LE(0),
+    skip: (count) => readBytes(count),
+    // Character data may continue in the next chunk, which then starts with
+    // a fresh flags byte choosing 8- or 16-bit characters
+    chars(count, highByte) {
+      let text = "";
+      let wide = highByte;
+      let remaining = count;
+      while (remaining > 0) {
+        let chunk = current();
+        if (offset === 0 && text.length > 0) {
+          wide = (chunk.readUInt8(0) & 0x01) === 1;
+          offset = 1;
+          chunk = current();
+        }
+        const bytesPerChar = wide ? 2 : 1;
+        const available = Math.floor((chunk.length - offset) / bytesPerChar);
+        const take = Math.min(remaining, available);
+        const bytes = chunk.subarray(offset, offset + take * bytesPerChar);
+        text += bytes.toString(wide ? "utf16le" : "latin1");
+        offset += take * bytesPerChar;
+        remaining -= take;
+      }
+      return text;
+    },
+  };
+}
+
+// XLUnicodeRichExtendedString, as stored in the SST and LABEL records
+function readRichString(reader, lengthSize = 2) {
+  const length = lengthSize === 2 ? reader.uint16() : reader.uint8();
+  const flags = reader.uint8();
+  const runCount = flags & 0x08 ? reader.uint16() : 0;
+  const extSize = flags & 0x04 ? reader.uint32() : 0;
+  const text = reader.chars(length, (flags & 0x01) === 1);
+
+  const runs = [];
+  for (let i = 0; i < runCount; i++) {
+    runs.push({ start: reader.uint16(), font: reader.uint16() });
+  }
+  if (extSize > 0) {
+    reader.skip(extSize);
+  }
+
+  return { text, runs };
+}
+
+// Decode an RK number (compressed integer or float)
+function decodeRk(rk) {
+  let value;
+  if (rk & 0x02) {
+    value = rk >> 2;
+  } else {
+    const buffer = Buffer.alloc(8);
+    // The bitwise AND is signed; shift back to an unsigned 32-bit value
+    buffer.writeUInt32LE((rk & 0xfffffffc) >>> 0, 4);
+    value = buffer.readDoubleLE(0);
+  }
+  return rk & 0x01 ? value / 100 : value;
+}
+
+// Days from the 1900 to the 1904 date system (DATEMODE record)
+const DATE_1904_OFFSET = 1462;
+
+// Excel serial date -> JS Date
+function serialToDate(serial, date1904 = false) {
+  const days = serial + (date1904 ? DATE_1904_OFFSET : 0) - 25569;
+  return new Date(Math.round(days * 86400 * 1000));
+}
+
+function isDateFormat(formatId, formats) {
+  if (DATE_FORMAT_IDS.has(formatId)) return true;
+  const format = formats.get(formatId);
+  if (!format) return false;
+  // Strip quoted text and colour/condition sections before looking for d/m/y
+  return /[dmy]/i.test(format.replace(/"[^"]*"|\[[^\]]*\]/g, ""));
+}
+
+// Parse the workbook globals: fonts, formats, cell styles, palette, sheets
+// and the shared string table
+function readGlobals(records) {
+  const globals = {
+    fonts: [],
+    formats: new Map(),
+    xfs: [],
+    palette: DEFAULT_PALETTE.slice(),
+    sheets: [],
+    strings: [],
+    date1904: false,
+  };
+
+  for (const record of records) {
+    const { data } = record;
+    switch (record.type) {
+      case RECORD.FILEPASS:
+        throw new XlsFormatError(
+          "The workbook is password protected (encrypted .xls files are not supported)"
+        );
+      case RECORD.DATEMODE:
+        globals.date1904 = data.readUInt16LE(0) === 1;
+        break;
+      case RECORD.FONT: {
+        const reader = createChunkReader([data.subarray(14)]);
+        globals.fonts.push({
+          size: data.readUInt16LE(0) / 20,
+          italic: (data.readUInt16LE(2) & 0x02) !== 0,
+          strike: (data.readUInt16LE(2) & 0x08) !== 0,
+          colorIndex: data.readUInt16LE(4),
+          bold: data.readUInt16LE(6) >= 700,
+          underline: data.readUInt8(10) !== 0,
+          name: readRichString(reader, 1).text,
+        });
+        break;
+      }
+      case RECORD.FORMAT: {
+        const reader = createChunkReader([data.subarray(2)]);
+        globals.formats.set(data.readUInt16LE(0), readRichString(reader).text);
+        break;
+      }
+      case RECORD.XF:
+        globals.xfs.push({
+          font: data.readUInt16LE(0),
+          format: data.readUInt16LE(2),
+        });
+        break;
+      case RECORD.PALETTE: {
+        const count = data.readUInt16LE(0);
+        for (let i = 0; i < count && i < globals.palette.length; i++) {
+          const offset = 2 + i * 4;
+          globals.palette[i] = data
+            .subarray(offset, offset + 3)
+            .toString("hex")
+            .toUpperCase();
+        }
+        break;
+      }
+      case RECORD.BOUNDSHEET: {
+        // Only worksheets (type 0); chart and macro sheets are skipped
+        if (data.readUInt8(5) !== 0) break;
+        const reader = createChunkReader([data.subarray(6)]);
+        globals.sheets.push({
+          offset: data.readUInt32LE(0),
+          name: readRichString(reader, 1).text,
+        });
+        break;
+      }
+      case RECORD.SST: {
+        const reader = createChunkReader(record.chunks);
+        reader.skip(4);
+        const count = reader.uint32();
+        for (let i = 0; i < count; i++) {
+          globals.strings.push(readRichString(reader));
+        }
+        break;
+      }
+    }
+  }
+
+  return globals;
+}
+
+// Font index as stored in cells and runs -> font entry (index 4 is skipped)
+function getFont(globals, index) {
+  return globals.fonts[index < 4 ? index : index - 1];
+}
+
+// Colour index -> ARGB, or null for automatic/system colours
+function getColor(globals, index) {
+  if (index >= 8 && index < 8 + globals.palette.length) {
+    return `FF${globals.palette[index - 8]}`;
+  }
+  if (index < 8) {
+    return `FF${DEFAULT_PALETTE[index]}`;
+  }
+  return null;
+}
+
+// Font entry -> ExcelJS font
+function toExcelFont(globals, font) {
+  if (!font) return undefined;
+  const color = getColor(globals, font.colorIndex);
+  return {
+    name: font.name,
+    size: font.size,
+    bold: font.bold,
+    italic: font.italic,
+    underline: font.underline,
+    strike: font.strike,
+    ...(color ? { color: { argb: color } } : {}),
+  };
+}
+
+// Shared string with formatting runs -> ExcelJS rich text value
+function toRichText(globals, string) {
+  if (string.runs.length === 0) {
+    return string.text;
+  }
+
+  const richText = [];
+  // Text before the first run uses the cell font
+  if (string.runs[0].start > 0) {
+    richText.push({ text: string.text.slice(0, string.runs[0].start) });
+  }
+  string.runs.forEach((run, i) => {
+    const end =
+      i + 1 < string.runs.length
+        ? string.runs[i + 1].start
+        : string.text.length;
+    const text = string.text.slice(run.start, end);
+    if (text) {
+      richText.push({
+        text,
+        font: toExcelFont(globals, getFont(globals, run.font)),
+      });
+    }
+  });
+
+  return { richText };
+}
+
+// Read the cells of one worksheet substream into an ExcelJS worksheet
+function readSheet(stream, sheet, globals, worksheet) {
+  const records = readRecords(stream, sheet.offset);
+
+  const setCell = (row, col, xfIndex, value) => {
+    const cell = worksheet.getCell(row + 1, col + 1);
+    const xf = globals.xfs[xfIndex];
+    if (
+      typeof value === "number" &&
+      xf &&
+      isDateFormat(xf.format, globals.formats)
+    ) {
+      value = serialToDate(value, globals.date1904);
+    }
+    cell.value = value;
+    if (xf) {
+      cell.font = toExcelFont(globals, getFont(globals, xf.font));
+    }
+  };
+
+  for (let i = 0; i < records.length; i++) {
+    const { type, data } = records[i];
+    switch (type) {
+      case RECORD.LABELSST: {
+        const string = globals.strings[data.readUInt32LE(6)];
+        if (string) {
+          setCell(
+            data.readUInt16LE(0),
+            data.readUInt16LE(2),
+            data.readUInt16LE(4),
+            toRichText(globals, string)
+          );
+        }
+        break;
+      }
+      case RECORD.LABEL:
+      case RECORD.RSTRING: {
+        const reader = createChunkReader(
+          records[i].chunks.map((chunk, index) =>
+            index === 0 ? chunk.subarray(6) : chunk
+          )
+        );
+        const length = reader.uint16();
+        const flags = reader.uint8();
+        const text = reader.chars(length, (flags & 0x01) === 1);
+        setCell(
+          data.readUInt16LE(0),
+          data.readUInt16LE(2),
+          data.readUInt16LE(4),
+          text
+        );
+        break;
+      }
+      case RECORD.NUMBER:
+        setCell(
+          data.readUInt16LE(0),
+          data.readUInt16LE(2),
+          data.readUInt16LE(4),
+          data.readDoubleLE(6)
+        );
+        break;
+      case RECORD.RK:
+        setCell(
+          data.readUInt16LE(0),
+          data.readUInt16LE(2),
+          data.readUInt16LE(4),
+          decodeRk(data.readUInt32LE(6))
+        );
+        break;
+      case RECORD.MULRK: {
+        const row = data.readUInt16LE(0);
+        const firstCol = data.readUInt16LE(2);
+        const count = (data.length - 6) / 6;
+        for (let j = 0; j < count; j++) {
+          const offset = 4 + j * 6;
+          setCell(
+            row,
+            firstCol + j,
+            data.readUInt16LE(offset),
+            decodeRk(data.readUInt32LE(offset + 2))
+          );
+        }
+        break;
+      }
+      case RECORD.BOOLERR:
+        // Booleans only; error values (#N/A, ...) are left empty
+        if (data.readUInt8(7) === 0) {
+          setCell(
+            data.readUInt16LE(0),
+            data.readUInt16LE(2),
+            data.readUInt16LE(4),
+            data.readUInt8(6) !== 0
+          );
+        }
+        break;
+      case RECORD.FORMULA: {
+        // Cached result: a string result lives in the STRING record that
+        // follows, after any SHRFMLA, ARRAY or TABLE record of the formula
+        const row = data.readUInt16LE(0);
+        const col = data.readUInt16LE(2);
+        const xf = data.readUInt16LE(4);
+        if (data.readUInt16LE(12) !== 0xffff) {
+          setCell(row, col, xf, data.readDoubleLE(6));
+        } else if (data.readUInt8(6) === 0) {
+          let j = i + 1;
+          while (
+            records[j] &&
+            [RECORD.SHRFMLA, RECORD.ARRAY, RECORD.TABLE].includes(
+              records[j].type
+            )
+          ) {
+            j++;
+          }
+          const next = records[j];
+          if (next && next.type === RECORD.STRING) {
+            const reader = createChunkReader(next.chunks);
+            setCell(row, col, xf, readRichString(reader).text);
+            i = j;
+          }
+        } else if (data.readUInt8(6) === 1) {
+          setCell(row, col, xf, data.readUInt8(8) !== 0);
+        }
+        break;
+      }
+    }
+  }
+}
+
+// Work out what kind of file this is before trying to parse it as BIFF
+function checkSignature(buffer) {
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    return "xlsx";
+  }
+  if (buffer.subarray(0, 4).equals(OLE_SIGNATURE)) {
+    return "xls";
+  }
+
+  const head = buffer
+    .subarray(0, 512)
+    .toString("utf8")
+    .trimStart()
+    .toLowerCase();
+  if (head.startsWith("<")) {
+    throw new XlsFormatError(
+      "The file is an HTML/XML export saved with an .xls extension; open it in Excel and save it as .xlsx"
+    );
+  }
+  throw new XlsFormatError(
+    "The file is not an Excel workbook (it looks like plain text, e.g. a CSV saved as .xls)"
+  );
+}
+
+// Read a .xls file into an ExcelJS workbook
+async function readXlsWorkbook(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+
+  // Files saved as OOXML but named .xls are common; read them as .xlsx
+  if (checkSignature(buffer) === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    return workbook;
+  }
+
+  let container;
+  try {
+    container = CFB.read(buffer, { type: "buffer" });
+  } catch (error) {
+    throw new XlsFormatError(`The file is damaged (${error.message})`);
+  }
+
+  const entry = CFB.find(container, "Workbook");
+  if (!entry) {
+    if (CFB.find(container, "Book")) {
+      throw new XlsFormatError(
+        "Excel 5.0/95 workbooks (BIFF5) are not supported; save the file as .xlsx or Excel 97-2003 .xls"
+      );
+    }
+    throw new XlsFormatError(
+      "No workbook stream found (the file may be another Office document)"
+    );
+  }
+
+  const stream = Buffer.from(entry.content);
+  const records = readRecords(stream);
+  if (records.length === 0 || records[0].type !== RECORD.BOF) {
+    throw new XlsFormatError(
+      "The workbook stream does not start with a BOF record"
+    );
+  }
+  if (records[0].data.readUInt16LE(0) !== 0x0600) {
+    throw new XlsFormatError(
+      `Unsupported BIFF version 0x${records[0].data
+        .readUInt16LE(0)
+        .toString(16)}; only Excel 97-2003 (BIFF8) .xls files are supported`
+    );
+  }
+
+  const globals = readGlobals(records);
+  const workbook = new ExcelJS.Workbook();
+  for (const sheet of globals.sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    readSheet(stream, sheet, globals, worksheet);
+  }
+
+  return workbook;
+}
+
+module.exports = { readXlsWorkbook, XlsFormatError };
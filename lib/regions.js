@@ -0,0 +1,345 @@
+// Empty-region search on an occupancy grid: `grid` holds one byte per cell,
+// row by row, 1 for occupied cells.
+
+// Cells per side of the tiles the local background is worked out for
+const BACKGROUND_TILE = 8;
+
+// Occupancy grid of raw RGB pixels where empty means "plain background":
+// a cell is uniform when its pixels barely vary (luminance spread up to half
+// the tolerance, at most maxEdgeDensity of them on an edge). Uniform cells
+// whose colours change by at most `tolerance` from one to the next form flat
+// areas, so a smooth gradient is one area. The local background is the flat
+// area covering most of a neighbourhood about half the image's smaller side
+// across; a uniform cell is empty when it belongs to the local background
+// of its neighbourhood. Flat colours of any brightness, framed or vignetted
+// pictures and cards count as empty; flat shapes smaller than their
+// surroundings (logos, solid products) don't. Returns the grid and the mean
+// colour of every cell.
+function buildUniformityGrid(
+  data,
+  { width, height, channels },
+  { cellSize, tolerance, maxEdgeDensity }
+) {
+  const gridWidth = Math.ceil(width / cellSize);
+  const gridHeight = Math.ceil(height / cellSize);
+  const cellCount = gridWidth * gridHeight;
+
+  const luminance = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * channels;
+    luminance[i] =
+      (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) /
+      1000;
+  }
+
+  // Colour sums, luminance spread and edge pixels per cell
+  const sums = new Float64Array(cellCount * 3);
+  const lumaSum = new Float64Array(cellCount);
+  const lumaSquares = new Float64Array(cellCount);
+  const edges = new Uint32Array(cellCount);
+  const pixels = new Uint32Array(cellCount);
+
+  for (let y = 0; y < height; y++) {
+    const cellRow = Math.floor(y / cellSize) * gridWidth;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const cell = cellRow + Math.floor(x / cellSize);
+      const offset = i * channels;
+      const luma = luminance[i];
+
+      sums[cell * 3] += data[offset];
+      sums[cell * 3 + 1] += data[offset + 1];
+      sums[cell * 3 + 2] += data[offset + 2];
+      lumaSum[cell] += luma;
+      lumaSquares[cell] += luma * luma;
+      pixels[cell]++;
+
+      const right = x + 1 < width ? Math.abs(luminance[i + 1] - luma) : 0;
+      const below = y + 1 < height ? Math.abs(luminance[i + width] - luma) : 0;
+      if (Math.max(right, below) > tolerance) {
+        edges[cell]++;
+      }
+    }
+  }
+
+  const colors = new Float32Array(cellCount * 3);
+  const uniform = new Uint8Array(cellCount);
+  for (let cell = 0; cell < cellCount; cell++) {
+    const count = pixels[cell];
+    for (let channel = 0; channel < 3; channel++) {
+      colors[cell * 3 + channel] = sums[cell * 3 + channel] / count;
+    }
+    const mean = lumaSum[cell] / count;
+    const spread = Math.sqrt(
+      Math.max(0, lumaSquares[cell] / count - mean * mean)
+    );
+    uniform[cell] =
+      spread <= tolerance / 2 && edges[cell] / count <= maxEdgeDensity ? 1 : 0;
+  }
+
+  // Label the flat areas: flood fill through similar uniform neighbours
+  const isSimilar = (a, b) => {
+    for (let channel = 0; channel < 3; channel++) {
+      if (
+        Math.abs(colors[a * 3 + channel] - colors[b * 3 + channel]) > tolerance
+      ) {
+        return false;
+      }
+    }
+    return true;
+  };
+  const areas = new Int32Array(cellCount).fill(-1);
+  let areaCount = 0;
+  for (let start = 0; start < cellCount; start++) {
+    if (!uniform[start] || areas[start] !== -1) continue;
+
+    const area = areaCount++;
+    areas[start] = area;
+    const queue = [start];
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      const row = Math.floor(cell / gridWidth);
+      const col = cell % gridWidth;
+      for (const [neighbor, inside] of [
+        [cell - 1, col > 0],
+        [cell + 1, col + 1 < gridWidth],
+        [cell - gridWidth, row > 0],
+        [cell + gridWidth, row + 1 < gridHeight],
+      ]) {
+        if (
+          inside &&
+          uniform[neighbor] &&
+          areas[neighbor] === -1 &&
+          isSimilar(cell, neighbor)
+        ) {
+          areas[neighbor] = area;
+          queue.push(neighbor);
+        }
+      }
+    }
+  }
+
+  // Cells of each area per tile
+  const tilesWide = Math.ceil(gridWidth / BACKGROUND_TILE);
+  const tilesHigh = Math.ceil(gridHeight / BACKGROUND_TILE);
+  const tileAreas = Array.from(
+    { length: tilesWide * tilesHigh },
+    () => new Map()
+  );
+  for (let cell = 0; cell < cellCount; cell++) {
+    if (areas[cell] === -1) continue;
+    const tileRow = Math.floor(Math.floor(cell / gridWidth) / BACKGROUND_TILE);
+    const tileCol = Math.floor((cell % gridWidth) / BACKGROUND_TILE);
+    const counts = tileAreas[tileRow * tilesWide + tileCol];
+    counts.set(areas[cell], (counts.get(areas[cell]) || 0) + 1);
+  }
+
+  // Local background of each tile: the area with most cells in the tiles
+  // around it, a quarter of the smaller side of the image each way
+  const radius = Math.max(2, Math.round(Math.min(tilesWide, tilesHigh) / 4));
+  const backgrounds = new Int32Array(tilesWide * tilesHigh).fill(-1);
+  for (let tileRow = 0; tileRow < tilesHigh; tileRow++) {
+    for (let tileCol = 0; tileCol < tilesWide; tileCol++) {
+      const counts = new Map();
+      for (
+        let r = Math.max(0, tileRow - radius);
+        r <= Math.min(tilesHigh - 1, tileRow + radius);
+        r++
+      ) {
+        for (
+          let c = Math.max(0, tileCol - radius);
+          c <= Math.min(tilesWide - 1, tileCol + radius);
+          c++
+        ) {
+          for (const [area, count] of tileAreas[r * tilesWide + c]) {
+            counts.set(area, (counts.get(area) || 0) + count);
+          }
+        }
+      }
+      let best = 0;
+      for (const [area, count] of counts) {
+        if (count > best) {
+          best = count;
+          backgrounds[tileRow * tilesWide + tileCol] = area;
+        }
+      }
+    }
+  }
+
+  const grid = new Uint8Array(cellCount);
+  for (let cell = 0; cell < cellCount; cell++) {
+    const tileRow = Math.floor(Math.floor(cell / gridWidth) / BACKGROUND_TILE);
+    const tileCol = Math.floor((cell % gridWidth) / BACKGROUND_TILE);
+    grid[cell] =
+      areas[cell] !== -1 &&
+      areas[cell] === backgrounds[tileRow * tilesWide + tileCol]
+        ? 0
+        : 1;
+  }
+
+  return { grid, gridWidth, gridHeight, colors };
+}
+
+// Mean colour of the cells of a rectangle as "#rrggbb"
+function getRegionColor(colors, gridWidth, { col, row, cols, rows }) {
+  const sums = [0, 0, 0];
+  for (let r = row; r < row + rows; r++) {
+    for (let c = col; c < col + cols; c++) {
+      const cell = r * gridWidth + c;
+      for (let channel = 0; channel < 3; channel++) {
+        sums[channel] += colors[cell * 3 + channel];
+      }
+    }
+  }
+  return `#${sums
+    .map((sum) =>
+      Math.round(sum / (cols * rows))
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+}
+
+// Default text colour that reads on a background colour ("#rrggbb")
+function getTextColor(background) {
+  const [r, g, b] = [1, 3, 5].map((start) =>
+    parseInt(background.slice(start, start + 2), 16)
+  );
+  return (r * 299 + g * 587 + b * 114) / 1000 < 128 ? "#ffffff" : "#000000";
+}
+
+// Every maximal empty rectangle of the grid (one that can't grow in any
+// direction) at least minCols x minRows cells, as { col, row, cols, rows }.
+// Each grid row is treated as the bottom of a histogram of empty cells above
+// it; a bar popped from the stack spans the widest run of at least its height,
+// which can't grow left, right or up. It is maximal when the row below it is
+// blocked somewhere along its span.
+function findMaximalRectangles(
+  grid,
+  gridWidth,
+  gridHeight,
+  { minCols = 1, minRows = 1 } = {}
+) {
+  const rectangles = [];
+  const heights = new Int32Array(gridWidth);
+
+  // Occupied cells of a row before each column, to check the row below
+  const occupiedBefore = (row) => {
+    const counts = new Int32Array(gridWidth + 1);
+    for (let col = 0; col < gridWidth; col++) {
+      counts[col + 1] = counts[col] + grid[row * gridWidth + col];
+    }
+    return counts;
+  };
+
+  let nextRow = gridHeight > 0 ? occupiedBefore(0) : null;
+  for (let row = 0; row < gridHeight; row++) {
+    for (let col = 0; col < gridWidth; col++) {
+      heights[col] = grid[row * gridWidth + col] ? 0 : heights[col] + 1;
+    }
+    nextRow = row + 1 < gridHeight ? occupiedBefore(row + 1) : null;
+
+    const stack = [];
+    for (let col = 0; col <= gridWidth; col++) {
+      const height = col < gridWidth ? heights[col] : 0;
+      while (stack.length > 0 && heights[stack[stack.length - 1]] >= height) {
+        const barHeight = heights[stack.pop()];
+        // Equal bars are reported by the last of them
+        if (barHeight === height || barHeight < minRows) continue;
+
+        const left = stack.length > 0 ? stack[stack.length - 1] + 1 : 0;
+        const cols = col - left;
+        const blockedBelow = !nextRow || nextRow[col] - nextRow[left] > 0;
+        if (cols >= minCols && blockedBelow) {
+          rectangles.push({
+            col: left,
+            row: row - barHeight + 1,
+            cols,
+            rows: barHeight,
+          });
+        }
+      }
+      if (col < gridWidth) stack.push(col);
+    }
+  }
+
+  return rectangles;
+}
+
+// How well a width x height box suits lines of text: 1 from square to four
+// times wider than high, less for narrow columns and thin strips
+function getAspectScore(width, height) {
+  const ratio = width / height;
+  if (ratio < 1) return ratio;
+  if (ratio > 4) return Math.sqrt(4 / ratio);
+  return 1;
+}
+
+// Regions sorted by usable area weighted by their aspect score. Candidates
+// mostly covered by a better region are dropped, so the list offers distinct
+// places rather than many shifts of the same one.
+function rankRegions(regions, limit = 10) {
+  const ranked = [];
+  const sorted = regions
+    .map((region) => ({
+      ...region,
+      score: region.area * getAspectScore(region.width, region.height),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  for (const region of sorted) {
+    if (ranked.length >= limit) break;
+    const covered = ranked.some(
+      (other) => getOverlapArea(region, other) > region.area / 2
+    );
+    if (!covered) {
+      ranked.push(region);
+    }
+  }
+  return ranked;
+}
+
+// Regions that don't overlap any better one, in the order given
+function pickDisjointRegions(regions) {
+  const picked = [];
+  for (const region of regions) {
+    if (picked.every((other) => getOverlapArea(region, other) === 0)) {
+      picked.push(region);
+    }
+  }
+  return picked;
+}
+
+// Regions in reading order: rows from top to bottom, left to right within a
+// row. A region belongs to the current row when it starts above the middle
+// of the row's first region.
+function sortReadingOrder(regions) {
+  const rows = [];
+  for (const region of [...regions].sort((a, b) => a.y - b.y)) {
+    const row = rows[rows.length - 1];
+    if (row && region.y < row[0].y + row[0].height / 2) {
+      row.push(region);
+    } else {
+      rows.push([region]);
+    }
+  }
+  return rows.flatMap((row) => row.sort((a, b) => a.x - b.x));
+}
+
+function getOverlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+module.exports = {
+  buildUniformityGrid,
+  getRegionColor,
+  getTextColor,
+  findMaximalRectangles,
+  getAspectScore,
+  rankRegions,
+  pickDisjointRegions,
+  sortReadingOrder,
+  getOverlapArea,
+};
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const { InvalidRegionsError } = require("./errors");
+const { parseStyle } = require("./readers/records");
+
+// Fixed text boxes that replace the detected regions of an image. An image
+// uses "<name>.regions.json" next to it, or else the REGIONS_FILE of its
+// folder or the nearest parent folder inside the images folder.
+const REGIONS_FILE = "regions.json";
+
+const BOX_PROPERTIES = ["x", "y", "width", "height", "style"];
+
+// Sidecar file of an image, or null when it has none
+function findRegionsFile(imageFile, imagesDir) {
+  const { dir, name } = path.parse(imageFile);
+  const own = path.join(dir, `${name}.regions.json`);
+  if (fs.existsSync(own)) {
+    return own;
+  }
+
+  const root = path.resolve(imagesDir);
+  for (let folder = path.resolve(dir); ; folder = path.dirname(folder)) {
+    const file = path.join(folder, REGIONS_FILE);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+    if (folder === root || path.dirname(folder) === folder) {
+      return null;
+    }
+  }
+}
+
+// 120 / "120px" -> 120 pixels, "25%" -> 25% of `total`; null when invalid
+function parseLength(value, total) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%|px)?$/i);
+  if (!match) {
+    return null;
+  }
+  const number = parseFloat(match[1]);
+  return match[2] === "%" ? (number / 100) * total : number;
+}
+
+// Check one box against the image size; returns the box in whole pixels
+// and adds what is wrong with it to `problems`
+function resolveBox(box, label, { width, height }, problems) {
+  if (!box || typeof box !== "object" || Array.isArray(box)) {
+    problems.push(`${label} must be an object with x, y, width and height`);
+    return null;
+  }
+
+  const unknown = Object.keys(box).filter(
+    (key) => !BOX_PROPERTIES.includes(key)
+  );
+  if (unknown.length > 0) {
+    problems.push(`${label} has unknown properties: ${unknown.join(", ")}`);
+  }
+
+  const errors = [];
+  const lengths = {};
+  for (const [key, total] of [
+    ["x", width],
+    ["y", height],
+    ["width", width],
+    ["height", height],
+  ]) {
+    if (box[key] === undefined) {
+      errors.push(`${key} is missing`);
+      continue;
+    }
+    const length = parseLength(box[key], total);
+    if (length === null) {
+      errors.push(
+        `${key} must be a number of pixels or a percentage, got ${JSON.stringify(
+          box[key]
+        )}`
+      );
+    } else {
+      lengths[key] = Math.round(length);
+    }
+  }
+
+  let style = {};
+  if (typeof box.style === "string") {
+    style = parseStyle(box.style);
+  } else if (box.style && typeof box.style === "object") {
+    style = box.style;
+  } else if (box.style !== undefined) {
+    errors.push('style must be an object or a string like "align: left"');
+  }
+
+  if (errors.length === 0) {
+    if (lengths.width <= 0 || lengths.height <= 0) {
+      errors.push("width and height must be greater than 0");
+    }
+    if (lengths.x < 0 || lengths.y < 0) {
+      errors.push("x and y must not be negative");
+    }
+    if (lengths.x + lengths.width > width) {
+      errors.push(
+        `extends past the right edge (x + width = ${
+          lengths.x + lengths.width
+        } > ${width})`
+      );
+    }
+    if (lengths.y + lengths.height > height) {
+      errors.push(
+        `extends past the bottom edge (y + height = ${
+          lengths.y + lengths.height
+        } > ${height})`
+      );
+    }
+  }
+
+  if (errors.length > 0) {
+    problems.push(...errors.map((error) => `${label}: ${error}`));
+    return null;
+  }
+  return { ...lengths, style };
+}
+
+// Text boxes of a sidecar file for an image of `size` ({ width, height }),
+// in the order listed. Throws InvalidRegionsError listing every problem.
+function readRegionsFile(file, size) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8").replace(/^\uFEFF/, ""));
+  } catch (error) {
+    throw new InvalidRegionsError(file, [error.message]);
+  }
+
+  const boxes = Array.isArray(data) ? data : data && data.regions;
+  if (!Array.isArray(boxes) || boxes.length === 0) {
+    throw new InvalidRegionsError(file, [
+      'expected a non-empty list of boxes, or { "regions": [...] }',
+    ]);
+  }
+
+  const problems = [];
+  const regions = boxes.map((box, index) =>
+    resolveBox(box, `box ${index + 1}`, size, problems)
+  );
+  if (problems.length > 0) {
+    throw new InvalidRegionsError(file, problems);
+  }
+
+  return regions;
+}
+
+module.exports = {
+  REGIONS_FILE,
+  findRegionsFile,
+  parseLength,
+  readRegionsFile,
+};
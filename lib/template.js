@@ -0,0 +1,203 @@
+const moment = require("moment");
+
+// Per-folder file with template variables ({ "name": value, ... })
+const VARIABLES_FILE = "variables.json";
+
+// {{name}} or {{name | formatter:argument | ...}}
+const PLACEHOLDER = /\{\{\s*([^{}|]+?)\s*((?:\|[^{}|]*)*)\}\}/g;
+
+// Date strings accepted by the date formatter besides Date values
+const DATE_FORMATS = [
+  moment.ISO_8601,
+  "DD/MM/YYYY",
+  "D/M/YYYY",
+  "DD-MM-YYYY",
+  "DD/MM/YYYY HH:mm",
+];
+
+function toNumber(value) {
+  const number = typeof value === "number" ? value : Number(value);
+  if (value === "" || value === null || Number.isNaN(number)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  return number;
+}
+
+// Excel stores dates as wall-clock times, read by ExcelJS as UTC
+function toMoment(value) {
+  let date;
+  if (value instanceof Date) {
+    date = moment.utc(value);
+  } else if (typeof value === "number") {
+    date = moment(value);
+  } else {
+    date = moment(String(value).trim(), DATE_FORMATS, true);
+  }
+  if (!date.isValid()) {
+    throw new Error(`"${value}" is not a date`);
+  }
+  return date;
+}
+
+// Formatters usable after a "|" in a placeholder
+const FORMATTERS = {
+  // {{qty | number}}, {{qty | number:2}}
+  number: (value, digits, locale) =>
+    new Intl.NumberFormat(
+      locale,
+      digits === undefined
+        ? {}
+        : {
+            minimumFractionDigits: Number(digits),
+            maximumFractionDigits: Number(digits),
+          }
+    ).format(toNumber(value)),
+  // {{price | currency}}, {{price | currency:USD}}
+  currency: (value, currency = "VND", locale) =>
+    new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency: currency.toUpperCase(),
+    }).format(toNumber(value)),
+  // {{rate | percent}} for 0.25 -> 25%
+  percent: (value, digits, locale) =>
+    new Intl.NumberFormat(locale, {
+      style: "percent",
+      maximumFractionDigits: digits === undefined ? 0 : Number(digits),
+    }).format(toNumber(value)),
+  // {{day | date}}, {{day | date:dddd, D MMMM YYYY}}
+  date: (value, format = "DD/MM/YYYY", locale) =>
+    toMoment(value).locale(locale).format(format),
+  upper: (value, arg, locale) => String(value).toLocaleUpperCase(locale),
+  lower: (value, arg, locale) => String(value).toLocaleLowerCase(locale),
+  trim: (value) => String(value).trim(),
+};
+
+// Replace text[start, end) of `content` by `replacement`. Segments covering
+// the replaced range stretch or shrink with it; later ones move.
+function replaceRange(content, start, end, replacement) {
+  const delta = replacement.length - (end - start);
+  const movePosition = (position) => {
+    if (position <= start) return position;
+    if (position >= end) return position + delta;
+    return start + replacement.length;
+  };
+
+  const result = {
+    ...content,
+    text: content.text.slice(0, start) + replacement + content.text.slice(end),
+  };
+  for (const key of Object.keys(content)) {
+    if (!key.endsWith("Segments") || !Array.isArray(content[key])) continue;
+
+    result[key] = content[key]
+      .map((seg) => {
+        const segStart = movePosition(seg.start);
+        const segEnd = movePosition(seg.start + seg.length);
+        return { ...seg, start: segStart, length: segEnd - segStart };
+      })
+      .filter((seg) => seg.length > 0);
+  }
+
+  return result;
+}
+
+// Value of one placeholder: row fields win over folder variables, names are
+// matched case-insensitively
+function resolvePlaceholder(name, filters, values, options) {
+  const key = name.toLowerCase();
+  if (!(key in values)) {
+    throw new Error(`No value for {{${name}}}`);
+  }
+
+  let value = values[key];
+  for (const filter of filters) {
+    const separator = filter.indexOf(":");
+    const formatterName = (
+      separator === -1 ? filter : filter.slice(0, separator)
+    )
+      .trim()
+      .toLowerCase();
+    const argument =
+      separator === -1 ? undefined : filter.slice(separator + 1).trim();
+
+    const formatter = FORMATTERS[formatterName];
+    if (!formatter) {
+      throw new Error(
+        `Unknown formatter "${formatterName}" in {{${name}}} (use: ${Object.keys(
+          FORMATTERS
+        ).join(", ")})`
+      );
+    }
+    try {
+      value = formatter(value, argument, options.locale);
+    } catch (error) {
+      throw new Error(`{{${name}}}: ${error.message}`);
+    }
+  }
+
+  if (value === null || value === undefined) return "";
+  return value instanceof Date
+    ? moment.utc(value).format("DD/MM/YYYY")
+    : String(value);
+}
+
+// Fill the {{placeholders}} of a record from its fields and the folder
+// variables. Placeholders that can't be filled are left in place and
+// reported through options.onError(message).
+function fillTemplate(record, variables = {}, options = {}) {
+  if (
+    !record.text.includes("{{") &&
+    !(record.title && record.title.includes("{{"))
+  ) {
+    return record;
+  }
+
+  const values = {};
+  for (const source of [variables, record.fields || {}]) {
+    for (const [name, value] of Object.entries(source)) {
+      values[name.trim().toLowerCase()] = value;
+    }
+  }
+
+  const fill = (content, onError) => {
+    const matches = [...content.text.matchAll(PLACEHOLDER)];
+    // Right to left so earlier offsets stay valid
+    for (const match of matches.reverse()) {
+      const filters = match[2].split("|").slice(1);
+      try {
+        const replacement = resolvePlaceholder(
+          match[1],
+          filters,
+          values,
+          options
+        );
+        content = replaceRange(
+          content,
+          match.index,
+          match.index + match[0].length,
+          replacement
+        );
+      } catch (error) {
+        onError(error.message);
+      }
+    }
+    return content;
+  };
+
+  // A title usually repeats the start of the text; its problems are only
+  // reported when the text didn't already report them
+  const reported = new Set();
+  const report = (message) => {
+    if (reported.has(message)) return;
+    reported.add(message);
+    if (options.onError) options.onError(message);
+  };
+
+  const filled = fill(record, report);
+  if (record.title) {
+    filled.title = fill({ text: record.title }, report).text;
+  }
+  return filled;
+}
+
+module.exports = { VARIABLES_FILE, FORMATTERS, replaceRange, fillTemplate };
@@ -3,7 +3,7 @@ const path = require("path");
 require("dotenv").config();
 const { exec } = require("child_process");
 const isDev = process.env.NODE_ENV === "development";
-const { run } = require("./index");
+const { createPipeline } = require("./index");
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -47,11 +47,46 @@ app.on("window-all-closed", () => {
   }
 });
 
-ipcMain.on("run-insert", (event, data) => {
+// Pipeline of the batch currently running, for pause/resume/cancel
+let currentPipeline = null;
+
+ipcMain.on("run-insert", async (event, data) => {
+  let pipeline = null;
   try {
-    run()
-    event.sender.send("run-insert", {});
+    pipeline = createPipeline(data && data.options);
+    currentPipeline = pipeline;
+
+    // Forward pipeline progress to the renderer
+    pipeline.on("progress", (progress) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send("run-insert-progress", progress);
+      }
+    });
+
+    const report = await pipeline.run();
+    event.sender.send("run-insert", { report });
   } catch (error) {
-    event.sender.send("run-insert", { error: error.message });
+    // Typed pipeline errors carry a code the renderer can pick a toast for
+    event.sender.send("run-insert", {
+      error: error.message,
+      code: error.code || null,
+    });
+  } finally {
+    // A run started meanwhile keeps its pause and cancel target
+    if (currentPipeline === pipeline) {
+      currentPipeline = null;
+    }
   }
 });
+
+ipcMain.on("run-insert-pause", () => {
+  if (currentPipeline) currentPipeline.pause();
+});
+
+ipcMain.on("run-insert-resume", () => {
+  if (currentPipeline) currentPipeline.resume();
+});
+
+ipcMain.on("run-insert-cancel", () => {
+  if (currentPipeline) currentPipeline.cancel();
+});
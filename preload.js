@@ -8,4 +8,5 @@ contextBridge.exposeInMainWorld("ipcRenderer", {
     ipcRenderer.once(chanel, func),
   removeListener: (chanel, func) =>
     ipcRenderer.removeListener(chanel, func),
+  removeAllListeners: (chanel) => ipcRenderer.removeAllListeners(chanel),
 });
\ No newline at end of file
@@ -1,25 +1,68 @@
 import { useState } from "react";
 import { useNotifyContext } from "../contexts/notifyContext";
-import spinner from "../images/loading-part-2-svgrepo-com.svg";
+
+const formatEta = (ms) => {
+  if (ms === null || ms === undefined) return "đang tính...";
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `còn khoảng ${seconds} giây`;
+  return `còn khoảng ${Math.floor(seconds / 60)} phút ${seconds % 60} giây`;
+};
 
 const RunInsert = () => {
   const ipcRenderer = window.ipcRenderer;
   const { show } = useNotifyContext();
   const [isLoading, setIsLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
 
   const handleRun = () => {
     setIsLoading(true);
+    setProgress(null);
+    ipcRenderer.on("run-insert-progress", (event, data) => {
+      setProgress(data);
+    });
     ipcRenderer.send("run-insert", {});
     ipcRenderer.once("run-insert", (event, data) => {
+      ipcRenderer.removeAllListeners("run-insert-progress");
       if (data.error) {
-        show(data.error, "error");
+        show(data.error, data.code === "MISSING_INPUT" ? "warning" : "error");
+      } else if (data.report.cancelled) {
+        show(
+          `Đã hủy: ${data.report.processed}/${data.report.total} ảnh đã xử lý`,
+          "warning"
+        );
+      } else if (data.report.failed > 0) {
+        show(
+          `Chèn ảnh xong: ${data.report.successful}/${data.report.total} thành công, ${data.report.failed} lỗi, ${data.report.skipped} bỏ qua`,
+          "warning"
+        );
+      } else if (data.report.skipped > 0) {
+        show(
+          `Chèn ảnh xong: ${data.report.successful}/${data.report.total} thành công, ${data.report.skipped} ảnh không có dòng chữ nào`,
+          "success"
+        );
       } else {
-        show("Chèn ảnh thành công", "success");
+        show(`Chèn ảnh thành công (${data.report.total} ảnh)`, "success");
       }
       setIsLoading(false);
     });
   };
 
+  const handlePause = () => {
+    ipcRenderer.send(
+      progress && progress.paused ? "run-insert-resume" : "run-insert-pause",
+      {}
+    );
+  };
+
+  const handleCancel = () => {
+    ipcRenderer.send("run-insert-cancel", {});
+  };
+
+  const percent =
+    progress && progress.total > 0
+      ? Math.round((progress.completed / progress.total) * 100)
+      : 0;
+
   return (
     <div className="bg-gray-900 w-full h-screen flex flex-col justify-center items-center text-center text-white px-5">
       <p className="mb-4 text-lg font-semibold px-7">
@@ -27,12 +70,57 @@ const RunInsert = () => {
         folder <span className="text-green-400">images</span> và nội dung vào
         folder <span className="text-green-400">text</span>
       </p>
-      <button
-        onClick={handleRun}
-        className="bg-gradient-to-r from-green-500 to-green-700 hover:from-green-600 hover:to-green-800 text-white font-semibold rounded-full py-3 px-10 shadow-lg transition duration-300 transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-green-400"
-      >
-        {isLoading ? <img src={spinner} alt="spinner" className="animate-spin w-5 h-5" /> : "Run"}
-      </button>
+      {isLoading ? (
+        <div className="w-full max-w-sm">
+          <div className="h-3 w-full overflow-hidden rounded-full bg-gray-700">
+            <div
+              className="h-full bg-gradient-to-r from-green-500 to-green-700 transition-all duration-300"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <p className="mt-3 text-sm font-semibold">
+            {progress
+              ? `${progress.completed}/${progress.total} ảnh (${percent}%)`
+              : "Đang chuẩn bị..."}
+          </p>
+          {progress && progress.image && (
+            <p className="mt-1 truncate text-xs text-gray-400">
+              {progress.image}
+            </p>
+          )}
+          {progress && (
+            <p className="mt-1 text-xs text-gray-400">
+              {formatEta(progress.eta)}
+              {progress.failed > 0 && (
+                <span className="text-red-400"> · {progress.failed} lỗi</span>
+              )}
+            </p>
+          )}
+          <div className="mt-4 flex justify-center gap-3">
+            <button
+              onClick={handlePause}
+              disabled={!progress || progress.cancelled}
+              className="rounded-full border border-gray-500 px-5 py-1.5 text-sm font-semibold hover:bg-gray-800 disabled:opacity-50"
+            >
+              {progress && progress.paused ? "Tiếp tục" : "Tạm dừng"}
+            </button>
+            <button
+              onClick={handleCancel}
+              disabled={!progress || progress.cancelled}
+              className="rounded-full border border-red-500 px-5 py-1.5 text-sm font-semibold text-red-400 hover:bg-gray-800 disabled:opacity-50"
+            >
+              {progress && progress.cancelled ? "Đang hủy..." : "Hủy"}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={handleRun}
+          className="bg-gradient-to-r from-green-500 to-green-700 hover:from-green-600 hover:to-green-800 text-white font-semibold rounded-full py-3 px-10 shadow-lg transition duration-300 transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-green-400"
+        >
+          Run
+        </button>
+      )}
     </div>
   );
 };